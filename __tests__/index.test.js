@@ -1,20 +1,69 @@
 import { describe, test, expect, vi } from "vitest";
+import { mkdtempSync, readdirSync, readFileSync, rmSync } from "node:fs";
+import fs from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
 import {
   reactive,
   effect,
   ref,
+  shallowRef,
+  triggerRef,
+  customRef,
   computed,
   watch,
+  watchEffect,
+  watchPostEffect,
+  watchSyncEffect,
   readonly,
   shallowReactive,
+  shallowReadonly,
   toRaw,
+  markRaw,
   isReactive,
+  isReadonly,
+  isShallow,
+  isProxy,
+  setStrictMode,
   isRef,
   unref,
+  toRef,
+  toRefs,
+  toValue,
+  proxyRefs,
+  stop,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose,
+  batch,
+  nextTick,
+  queueJob,
   EFFECT_STACK_WARNING_THRESHOLD,
   MAX_EFFECT_STACK_SIZE,
   MAX_RECURSION_DEPTH,
   ERRORS,
+  ERROR_SOURCES,
+  getDependencies,
+  getSubscribers,
+  dumpGraph,
+  setErrorHandler,
+  createReactiveRuntime,
+  snapshot,
+  serialize,
+  hydrate,
+  onPatch,
+  applyPatches,
+  invertPatches,
+  useHistory,
+  transaction,
+  defineStore,
+  addStorePlugin,
+  persist,
+  createMemoryStorage,
+  createWebStorage,
+  createFileStorage,
+  computedAsync,
+  resource,
 } from "../index";
 
 describe("Reactive System", () => {
@@ -69,120 +118,3612 @@ describe("Reactive System", () => {
     test("should handle circular references", () => {
       const obj = { a: 1 };
       obj.circular = obj;
+      const state = reactive(obj);
+      let dummy;
+
+      effect(() => {
+        dummy = state.circular.circular.a;
+      });
+
+      expect(state.circular).toBe(state);
+      state.circular.a = 2;
+      expect(dummy).toBe(2);
+      expect(Object.getOwnPropertySymbols(obj)).toEqual([]);
+    });
+
+    test("should handle cyclic parent/child graphs", () => {
+      const parent = { name: "root", children: [] };
+      const child = { name: "leaf", parent };
+      parent.children.push(child);
+      const tree = reactive(parent);
+      let dummy;
+
+      effect(() => {
+        dummy = tree.children[0].parent.name;
+      });
+
+      expect(tree.children[0].parent).toBe(tree);
+      expect(toRaw(tree.children[0])).toBe(child);
+      tree.name = "renamed";
+      expect(dummy).toBe("renamed");
+    });
+
+    test("should respect readonly objects", () => {
+      const obj = reactive({ count: 0 });
+      const readonlyObj = readonly(obj);
+
+      const consoleSpy = vi.spyOn(console, "warn");
+
+      readonlyObj.count = 1;
+      expect(consoleSpy).toHaveBeenCalledWith("Cannot modify readonly object");
+      expect(readonlyObj.count).toBe(0);
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe("effect()", () => {
+    test("should not run lazy effects until called", () => {
+      const count = ref(0);
+      const fn = vi.fn(() => count.value);
+
+      const runner = effect(fn, { lazy: true });
+      expect(fn).not.toHaveBeenCalled();
+
+      expect(runner()).toBe(0);
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      count.value++;
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test("should call a custom scheduler instead of re-running", () => {
+      const count = ref(0);
+      let dummy;
+      let scheduled;
+      const scheduler = vi.fn((runner) => {
+        scheduled = runner;
+      });
+
+      const runner = effect(
+        () => {
+          dummy = count.value;
+        },
+        { scheduler }
+      );
+
+      count.value++;
+      expect(scheduler).toHaveBeenCalledTimes(1);
+      expect(dummy).toBe(0);
+
+      expect(scheduled).toBe(runner);
+      scheduled();
+      expect(dummy).toBe(1);
+    });
+
+    test("should stop reacting after stop()", () => {
+      const obj = reactive({ count: 0 });
+      let dummy;
+
+      const runner = effect(() => {
+        dummy = obj.count;
+      });
+
+      stop(runner);
+      obj.count++;
+      expect(dummy).toBe(0);
+
+      // A stopped runner can still be called manually
+      runner();
+      expect(dummy).toBe(1);
+      obj.count++;
+      expect(dummy).toBe(1);
+    });
+
+    test("should remove the effect from all of its dependencies", () => {
+      const obj = reactive({ a: 1, b: 2 });
+      const runner = effect(() => obj.a + obj.b);
+
+      expect(runner.deps).toHaveLength(2);
+      const deps = [...runner.deps];
+
+      runner.stop();
+      expect(runner.deps).toHaveLength(0);
+      deps.forEach((dep) => expect(dep.has(runner)).toBe(false));
+    });
+
+    test("should call onStop once", () => {
+      const onStop = vi.fn();
+      const runner = effect(() => {}, { onStop });
+
+      stop(runner);
+      stop(runner);
+      expect(onStop).toHaveBeenCalledTimes(1);
+    });
+
+    test("should skip queued runs of an effect stopped before the flush", async () => {
+      const count = ref(0);
+      const fn = vi.fn(() => count.value);
+
+      const runner = effect(fn, { flush: "pre" });
+      count.value++;
+      runner.stop();
+
+      await nextTick();
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("key iteration", () => {
+    test("should re-run for...in loops when keys are added or deleted", () => {
+      const state = reactive({ a: 1 });
+      let keys;
+
+      effect(() => {
+        keys = [];
+        for (const key in state) keys.push(key);
+      });
+
+      state.b = 2;
+      expect(keys).toEqual(["a", "b"]);
+      delete state.a;
+      expect(keys).toEqual(["b"]);
+    });
+
+    test("should re-run Object.keys() and JSON.stringify()", () => {
+      const state = reactive({ a: 1 });
+      let keys;
+      let json;
+
+      effect(() => {
+        keys = Object.keys(state);
+      });
+      effect(() => {
+        json = JSON.stringify(state);
+      });
+
+      state.b = 2;
+      expect(keys).toEqual(["a", "b"]);
+      expect(json).toBe('{"a":1,"b":2}');
+
+      state.a = 3;
+      expect(json).toBe('{"a":3,"b":2}');
+    });
+
+    test("should not re-run key enumeration when only a value changes", () => {
+      const state = reactive({ a: 1 });
+      const fn = vi.fn(() => Object.keys(state));
+
+      effect(fn);
+      state.a = 2;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should track the in operator", () => {
+      const state = reactive({});
+      let dummy;
+
+      effect(() => {
+        dummy = "x" in state;
+      });
+
+      expect(dummy).toBe(false);
+      state.x = 1;
+      expect(dummy).toBe(true);
+      delete state.x;
+      expect(dummy).toBe(false);
+    });
+
+    test("should not trigger when deleting a missing key", () => {
+      const state = reactive({});
+      const fn = vi.fn(() => Object.keys(state));
+
+      effect(fn);
+      delete state.missing;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should re-run Object.keys() on arrays when items are added", () => {
+      const arr = reactive([1]);
+      let keys;
+
+      effect(() => {
+        keys = Object.keys(arr);
+      });
+
+      arr.push(2);
+      expect(keys).toEqual(["0", "1"]);
+    });
+  });
+
+  describe("arrays", () => {
+    test("should re-run length readers on mutator methods", () => {
+      const arr = reactive([1, 2, 3]);
+      let dummy;
+
+      effect(() => {
+        dummy = arr.length;
+      });
+
+      arr.push(4);
+      expect(dummy).toBe(4);
+      arr.pop();
+      expect(dummy).toBe(3);
+      arr.splice(0, 1);
+      expect(dummy).toBe(2);
+      arr.unshift(0);
+      expect(dummy).toBe(3);
+      arr.shift();
+      expect(dummy).toBe(2);
+    });
+
+    test("should re-run iterating effects when an index is added", () => {
+      const arr = reactive([1, 2]);
+      let dummy;
+
+      effect(() => {
+        dummy = [...arr];
+      });
+
+      arr[2] = 3;
+      expect(dummy).toEqual([1, 2, 3]);
+
+      arr[5] = 4;
+      expect(dummy).toEqual([1, 2, 3, undefined, undefined, 4]);
+    });
+
+    test("should re-run for-of loops on push", () => {
+      const arr = reactive([1]);
+      let sum;
+
+      effect(() => {
+        sum = 0;
+        for (const item of arr) sum += item;
+      });
+
+      arr.push(2);
+      expect(sum).toBe(3);
+    });
+
+    test("should notify readers of indices removed by shrinking length", () => {
+      const arr = reactive([1, 2, 3]);
+      let dummy;
+
+      effect(() => {
+        dummy = arr[2];
+      });
+
+      arr.length = 1;
+      expect(dummy).toBeUndefined();
+    });
+
+    test("should not notify readers of indices kept when shrinking length", () => {
+      const arr = reactive([1, 2, 3]);
+      const fn = vi.fn(() => arr[0]);
+
+      effect(fn);
+      arr.length = 2;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should run effects once per mutator call", () => {
+      const arr = reactive([1, 2, 3]);
+      const fn = vi.fn(() => arr.join(","));
+
+      effect(fn);
+      arr.splice(0, 2, "a", "b", "c");
+
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveLastReturnedWith("a,b,c,3");
+    });
+
+    test("should not track length inside mutator methods", () => {
+      const arr = reactive([]);
+      const first = vi.fn(() => arr.push(1));
+      const second = vi.fn(() => arr.push(2));
+
+      effect(first);
+      effect(second);
+
+      expect(first).toHaveBeenCalledTimes(1);
+      expect(second).toHaveBeenCalledTimes(1);
+      expect(toRaw(arr)).toEqual([1, 2]);
+    });
+
+    test("should find raw and reactive elements with includes/indexOf", () => {
+      const item = { id: 1 };
+      const arr = reactive([item, { id: 2 }]);
+
+      expect(arr.includes(item)).toBe(true);
+      expect(arr.includes(arr[0])).toBe(true);
+      expect(arr.indexOf(item)).toBe(0);
+      expect(arr.indexOf(arr[1])).toBe(1);
+      expect(arr.lastIndexOf(arr[0])).toBe(0);
+      expect(arr.indexOf({ id: 1 })).toBe(-1);
+    });
+
+    test("should store raw elements when given proxies", () => {
+      const item = reactive({ id: 1 });
+      const arr = reactive([]);
+
+      arr.push(item);
+      expect(toRaw(arr)[0]).toBe(toRaw(item));
+      expect(arr.includes(item)).toBe(true);
+    });
+
+    test("should re-run searches when elements change", () => {
+      const arr = reactive([1, 2]);
+      let dummy;
+
+      effect(() => {
+        dummy = arr.includes(3);
+      });
+
+      arr[1] = 3;
+      expect(dummy).toBe(true);
+    });
+  });
+
+  describe("collections", () => {
+    test("should track Map get, has and size", () => {
+      const map = reactive(new Map([["a", 1]]));
+      let dummy;
+
+      effect(() => {
+        dummy = [map.get("a"), map.has("b"), map.size];
+      });
+
+      expect(dummy).toEqual([1, false, 1]);
+      map.set("a", 2);
+      expect(dummy).toEqual([2, false, 1]);
+      map.set("b", 3);
+      expect(dummy).toEqual([2, true, 2]);
+      map.delete("b");
+      expect(dummy).toEqual([2, false, 1]);
+      map.clear();
+      expect(dummy).toEqual([undefined, false, 0]);
+    });
+
+    test("should not trigger when setting the same value", () => {
+      const map = reactive(new Map([["a", 1]]));
+      const fn = vi.fn(() => map.get("a"));
+
+      effect(fn);
+      map.set("a", 1);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should track Map iteration", () => {
+      const map = reactive(new Map([["a", 1]]));
+      let entries;
+      let forEachValues;
+
+      effect(() => {
+        entries = [...map];
+      });
+      effect(() => {
+        forEachValues = [];
+        map.forEach((value, key) => forEachValues.push(`${key}=${value}`));
+      });
+
+      map.set("b", 2);
+      expect(entries).toEqual([
+        ["a", 1],
+        ["b", 2],
+      ]);
+      expect(forEachValues).toEqual(["a=1", "b=2"]);
+
+      map.set("a", 3);
+      expect([...map.values()]).toEqual([3, 2]);
+      expect(forEachValues).toEqual(["a=3", "b=2"]);
+    });
+
+    test("should not re-run keys() iteration when only a value changes", () => {
+      const map = reactive(new Map([["a", 1]]));
+      const fn = vi.fn(() => [...map.keys()]);
+
+      effect(fn);
+      map.set("a", 2);
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      map.set("b", 1);
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveLastReturnedWith(["a", "b"]);
+    });
+
+    test("should track Set add, delete, has and iteration", () => {
+      const set = reactive(new Set([1]));
+      let dummy;
+
+      effect(() => {
+        dummy = [set.has(2), set.size, [...set.values()]];
+      });
+
+      set.add(2);
+      expect(dummy).toEqual([true, 2, [1, 2]]);
+      set.add(2);
+      set.delete(1);
+      expect(dummy).toEqual([true, 1, [2]]);
+    });
+
+    test("should track WeakMap and WeakSet", () => {
+      const key = {};
+      const weakMap = reactive(new WeakMap());
+      const weakSet = reactive(new WeakSet());
+      let dummy;
+
+      effect(() => {
+        dummy = [weakMap.get(key), weakSet.has(key)];
+      });
+
+      weakMap.set(key, 1);
+      weakSet.add(key);
+      expect(dummy).toEqual([1, true]);
+
+      weakMap.delete(key);
+      weakSet.delete(key);
+      expect(dummy).toEqual([undefined, false]);
+    });
+
+    test("should return reactive values from get and iteration", () => {
+      const map = reactive(new Map([["a", { count: 0 }]]));
+      const set = reactive(new Set([{ count: 0 }]));
+      let dummy;
+
+      effect(() => {
+        dummy = map.get("a").count;
+      });
+
+      map.get("a").count++;
+      expect(dummy).toBe(1);
+
+      const [entryKey, entryValue] = [...map.entries()][0];
+      expect(entryKey).toBe("a");
+      expect(isReactive(entryValue)).toBe(true);
+      map.forEach((value) => expect(isReactive(value)).toBe(true));
+      set.forEach((value) => expect(isReactive(value)).toBe(true));
+      expect(isReactive([...set][0])).toBe(true);
+    });
+
+    test("should store raw values when given proxies", () => {
+      const item = reactive({ count: 0 });
+      const raw = new Set();
+      const set = reactive(raw);
+
+      set.add(item);
+      expect(raw.has(toRaw(item))).toBe(true);
+      expect(set.has(item)).toBe(true);
+      expect(set.has(toRaw(item))).toBe(true);
+    });
+
+    test("should not wrap values of shallow collections", () => {
+      const map = shallowReactive(new Map([["a", { count: 0 }]]));
+      let dummy;
+
+      effect(() => {
+        dummy = map.get("a");
+      });
+
+      expect(isReactive(dummy)).toBe(false);
+      map.set("a", { count: 1 });
+      expect(dummy).toEqual({ count: 1 });
+    });
+
+    test("should refuse to modify readonly collections", () => {
+      const consoleSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const map = readonly(new Map([["a", { count: 0 }]]));
+      const set = readonly(new Set([1]));
+
+      map.set("b", 1);
+      expect(map.delete("a")).toBe(false);
+      map.clear();
+      set.add(2);
+
+      expect(map.size).toBe(1);
+      expect([...set]).toEqual([1]);
+      expect(consoleSpy).toHaveBeenCalledWith(ERRORS.READONLY);
+
+      map.get("a").count = 1;
+      expect(map.get("a").count).toBe(0);
+
+      consoleSpy.mockRestore();
+    });
+
+    test("should handle object keys", () => {
+      const key = { id: 1 };
+      const map = reactive(new Map());
+      let dummy;
+
+      effect(() => {
+        dummy = map.get(key);
+      });
+
+      map.set(key, "value");
+      expect(dummy).toBe("value");
+    });
+  });
+
+  describe("ref()", () => {
+    test("should create a reactive reference", () => {
+      const count = ref(0);
+      let dummy;
+
+      effect(() => {
+        dummy = count.value;
+      });
+
+      expect(dummy).toBe(0);
+      count.value++;
+      expect(dummy).toBe(1);
+    });
+
+    test("should handle nested refs", () => {
+      const count = ref(ref(0));
+      let dummy;
+
+      effect(() => {
+        dummy = count.value.value;
+      });
+
+      expect(dummy).toBe(0);
+      count.value.value++;
+      expect(dummy).toBe(1);
+    });
+
+    test("should make object values deeply reactive", () => {
+      const raw = { nested: { count: 0 } };
+      const state = ref(raw);
+      let dummy;
+
+      effect(() => {
+        dummy = state.value.nested.count;
+      });
+
+      expect(isReactive(state.value)).toBe(true);
+      state.value.nested.count++;
+      expect(dummy).toBe(1);
+    });
+
+    test("should not trigger when assigning the proxy of the current value", () => {
+      const state = ref({ count: 0 });
+      const fn = vi.fn(() => state.value);
+
+      effect(fn);
+      const current = state.value;
+      state.value = current;
+      state.value = toRaw(state.value);
+
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should not detect plain objects shaped like refs", () => {
+      const lookalike = {
+        _value: 1,
+        get value() {
+          return this._value;
+        },
+      };
+
+      expect(isRef(lookalike)).toBe(false);
+      expect(isRef(computed(() => 1))).toBe(true);
+    });
+
+    test("should only track .value with shallowRef()", () => {
+      const state = shallowRef({ count: 0 });
+      let dummy;
+
+      effect(() => {
+        dummy = state.value.count;
+      });
+
+      expect(isReactive(state.value)).toBe(false);
+      expect(isShallow(state)).toBe(true);
+      state.value.count++;
+      expect(dummy).toBe(0);
+
+      triggerRef(state);
+      expect(dummy).toBe(1);
+
+      state.value = { count: 5 };
+      expect(dummy).toBe(5);
+    });
+
+    test("should build refs with customRef()", () => {
+      vi.useFakeTimers();
+      try {
+        const debounced = (value, delay) =>
+          customRef((track, trigger) => {
+            let timer;
+            return {
+              get() {
+                track();
+                return value;
+              },
+              set(newValue) {
+                clearTimeout(timer);
+                timer = setTimeout(() => {
+                  value = newValue;
+                  trigger();
+                }, delay);
+              },
+            };
+          });
+        const text = debounced("a", 100);
+        let dummy;
+
+        effect(() => {
+          dummy = text.value;
+        });
+
+        text.value = "b";
+        text.value = "c";
+        expect(dummy).toBe("a");
+
+        vi.advanceTimersByTime(100);
+        expect(dummy).toBe("c");
+        expect(isRef(text)).toBe(true);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+  });
+
+  describe("ref unwrapping", () => {
+    test("should unwrap refs nested in reactive objects", () => {
+      const count = ref(0);
+      const state = reactive({ count });
+      let dummy;
+
+      effect(() => {
+        dummy = state.count;
+      });
+
+      expect(dummy).toBe(0);
+      count.value++;
+      expect(dummy).toBe(1);
+    });
+
+    test("should assign through refs nested in reactive objects", () => {
+      const count = ref(0);
+      const state = reactive({ count });
+
+      state.count = 5;
+      expect(count.value).toBe(5);
+
+      const other = ref(10);
+      state.count = other;
+      expect(state.count).toBe(10);
+      expect(count.value).toBe(5);
+    });
+
+    test("should not unwrap refs in arrays, collections or shallow objects", () => {
+      const count = ref(0);
+
+      expect(isRef(reactive([count])[0])).toBe(true);
+      expect(isRef(reactive(new Map([["count", count]])).get("count"))).toBe(
+        true
+      );
+      expect(isRef(shallowReactive({ count }).count)).toBe(true);
+
+      const arr = reactive([count]);
+      arr[0] = 1;
+      expect(arr[0]).toBe(1);
+      expect(count.value).toBe(0);
+    });
+  });
+
+  describe("toRef() and toRefs()", () => {
+    test("should link a ref to a property of a reactive object", () => {
+      const state = reactive({ count: 0 });
+      const count = toRef(state, "count");
+      let dummy;
+
+      effect(() => {
+        dummy = count.value;
+      });
+
+      state.count++;
+      expect(dummy).toBe(1);
+      count.value = 5;
+      expect(state.count).toBe(5);
+      expect(dummy).toBe(5);
+    });
+
+    test("should support default values and existing refs", () => {
+      const existing = ref(1);
+      const state = reactive({ missing: undefined });
+
+      expect(toRef(state, "missing", 10).value).toBe(10);
+      expect(toRef({ existing }, "existing")).toBe(existing);
+      expect(toRef(existing)).toBe(existing);
+      expect(toRef(1).value).toBe(1);
+    });
+
+    test("should create a readonly ref from a getter", () => {
+      const consoleSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const state = reactive({ count: 0 });
+      const doubled = toRef(() => state.count * 2);
+      let dummy;
+
+      effect(() => {
+        dummy = doubled.value;
+      });
+
+      state.count++;
+      expect(dummy).toBe(2);
+      doubled.value = 10;
+      expect(consoleSpy).toHaveBeenCalledWith(ERRORS.READONLY);
+      expect(doubled.value).toBe(2);
+      consoleSpy.mockRestore();
+    });
+
+    test("should keep reactivity when destructuring with toRefs()", () => {
+      const state = reactive({ a: 1, b: 2 });
+      const { a, b } = toRefs(state);
+      let dummy;
+
+      effect(() => {
+        dummy = a.value + b.value;
+      });
+
+      state.a = 10;
+      expect(dummy).toBe(12);
+      b.value = 20;
+      expect(state.b).toBe(20);
+      expect(dummy).toBe(30);
+
+      const refs = toRefs(reactive([1, 2]));
+      expect(Array.isArray(refs)).toBe(true);
+      expect(refs[1].value).toBe(2);
+    });
+  });
+
+  describe("toValue() and proxyRefs()", () => {
+    test("should normalize refs, getters and values", () => {
+      expect(toValue(ref(1))).toBe(1);
+      expect(toValue(() => 2)).toBe(2);
+      expect(toValue(3)).toBe(3);
+    });
+
+    test("should unwrap refs through proxyRefs()", () => {
+      const count = ref(0);
+      const obj = proxyRefs({ count, label: "a" });
+
+      expect(obj.count).toBe(0);
+      expect(obj.label).toBe("a");
+
+      obj.count = 5;
+      expect(count.value).toBe(5);
+
+      const state = reactive({});
+      expect(proxyRefs(state)).toBe(state);
+    });
+  });
+
+  describe("computed()", () => {
+    test("should compute values reactively", () => {
+      const count = ref(0);
+      const double = computed(() => count.value * 2);
+
+      expect(double.value).toBe(0);
+      count.value++;
+      expect(double.value).toBe(2);
+    });
+
+    test("should cache computed values", () => {
+      const count = ref(0);
+      let calls = 0;
+
+      const double = computed(() => {
+        calls++;
+        return count.value * 2;
+      });
+
+      expect(calls).toBe(0);
+      expect(double.value).toBe(0);
+      expect(calls).toBe(1);
+      expect(double.value).toBe(0);
+      expect(calls).toBe(1);
+    });
+
+    test("should recompute lazily after a dependency changes", () => {
+      const count = ref(0);
+      const getter = vi.fn(() => count.value * 2);
+      const double = computed(getter);
+
+      expect(double.value).toBe(0);
+      count.value++;
+      count.value++;
+      expect(getter).toHaveBeenCalledTimes(1);
+
+      expect(double.value).toBe(4);
+      expect(getter).toHaveBeenCalledTimes(2);
+    });
+
+    test("should trigger effects that read it", () => {
+      const count = ref(0);
+      const double = computed(() => count.value * 2);
+      let dummy;
+
+      effect(() => {
+        dummy = double.value;
+      });
+
+      expect(dummy).toBe(0);
+      count.value++;
+      expect(dummy).toBe(2);
+    });
+
+    test("should propagate through chained computeds", () => {
+      const count = ref(1);
+      const double = computed(() => count.value * 2);
+      const quadruple = computed(() => double.value * 2);
+      let dummy;
+
+      effect(() => {
+        dummy = quadruple.value;
+      });
+
+      expect(dummy).toBe(4);
+      count.value = 2;
+      expect(dummy).toBe(8);
+      expect(quadruple.value).toBe(8);
+    });
+
+    test("should be watchable", async () => {
+      const count = ref(0);
+      const double = computed(() => count.value * 2);
+      const callback = vi.fn();
+
+      watch(double, callback);
+      count.value++;
+      await nextTick();
+      expect(callback).toHaveBeenCalledWith(2, 0, expect.any(Function));
+    });
+
+    test("should see changes made earlier in the same batch", () => {
+      const count = ref(0);
+      const double = computed(() => count.value * 2);
+
+      batch(() => {
+        count.value = 2;
+        expect(double.value).toBe(4);
+      });
+    });
+
+    test("should support writable computeds", () => {
+      const count = ref(1);
+      const plusOne = computed({
+        get: () => count.value + 1,
+        set: (value) => {
+          count.value = value - 1;
+        },
+      });
+
+      plusOne.value = 10;
+      expect(count.value).toBe(9);
+      expect(plusOne.value).toBe(10);
+    });
+
+    test("should warn when writing a computed without a setter", () => {
+      const consoleSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const double = computed(() => 2);
+
+      double.value = 3;
+      expect(consoleSpy).toHaveBeenCalledWith(ERRORS.COMPUTED_READONLY);
+      expect(double.value).toBe(2);
+
+      consoleSpy.mockRestore();
+    });
+
+    test("should stop tracking after stop()", () => {
+      const count = ref(0);
+      const double = computed(() => count.value * 2);
+      let dummy;
+
+      effect(() => {
+        dummy = double.value;
+      });
+
+      double.stop();
+      expect(double.effect.active).toBe(false);
+      count.value++;
+      expect(dummy).toBe(0);
+      expect(double.value).toBe(0);
+    });
+  });
+
+  describe("propagation", () => {
+    test("should run a diamond's effect once with consistent values", () => {
+      const source = ref(1);
+      const plusOne = computed(() => source.value + 1);
+      const double = computed(() => source.value * 2);
+      const seen = [];
+
+      effect(() => {
+        seen.push([plusOne.value, double.value]);
+      });
+
+      source.value = 2;
+      expect(seen).toEqual([
+        [2, 2],
+        [3, 4],
+      ]);
+    });
+
+    test("should compute each node of a diamond once per change", () => {
+      const source = ref(1);
+      const leftGetter = vi.fn(() => source.value + 1);
+      const rightGetter = vi.fn(() => source.value * 2);
+      const left = computed(leftGetter);
+      const right = computed(rightGetter);
+      const sumGetter = vi.fn(() => left.value + right.value);
+      const sum = computed(sumGetter);
+      const fn = vi.fn(() => [source.value, sum.value]);
+
+      effect(fn);
+      source.value = 5;
+
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveLastReturnedWith([5, 16]);
+      expect(leftGetter).toHaveBeenCalledTimes(2);
+      expect(rightGetter).toHaveBeenCalledTimes(2);
+      expect(sumGetter).toHaveBeenCalledTimes(2);
+    });
+
+    test("should propagate through a chain of computeds once", () => {
+      const source = ref(1);
+      const getters = [];
+      let node = source;
+      for (let i = 0; i < 5; i++) {
+        const previous = node;
+        const getter = vi.fn(() => previous.value + 1);
+        getters.push(getter);
+        node = computed(getter);
+      }
+      const last = node;
+      const fn = vi.fn(() => last.value);
+
+      effect(fn);
+      source.value = 10;
+
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveLastReturnedWith(15);
+      getters.forEach((getter) => expect(getter).toHaveBeenCalledTimes(2));
+    });
+
+    test("should not re-run effects when a computed settles on the same value", () => {
+      const source = ref(2);
+      const isEvenGetter = vi.fn(() => source.value % 2 === 0);
+      const isEven = computed(isEvenGetter);
+      const fn = vi.fn(() => isEven.value);
+
+      effect(fn);
+      source.value = 4;
+
+      expect(isEvenGetter).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      source.value = 5;
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveLastReturnedWith(false);
+    });
+
+    test("should stop the check at the first changed dependency", () => {
+      const state = reactive({ show: true, value: 1 });
+      const show = computed(() => state.show);
+      const branchGetter = vi.fn(() => state.value * 10);
+      const branch = computed(branchGetter);
+      const fn = vi.fn(() => (show.value ? branch.value : "hidden"));
+
+      effect(fn);
+      expect(fn).toHaveLastReturnedWith(10);
+
+      batch(() => {
+        state.show = false;
+        state.value = 2;
+      });
+
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveLastReturnedWith("hidden");
+      // The hidden branch is never evaluated for the new value
+      expect(branchGetter).toHaveBeenCalledTimes(1);
+    });
+
+    test("should drop dependencies of branches that are no longer taken", () => {
+      const state = reactive({ show: true, value: 1 });
+      const fn = vi.fn(() => (state.show ? state.value : "hidden"));
+
+      effect(fn);
+      state.show = false;
+      expect(fn).toHaveBeenCalledTimes(2);
+
+      state.value = 2;
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test("should run effects once for several changes in a batch", () => {
+      const first = ref("a");
+      const last = ref("b");
+      const full = computed(() => `${first.value} ${last.value}`);
+      const fn = vi.fn(() => full.value);
+
+      effect(fn);
+      batch(() => {
+        first.value = "c";
+        last.value = "d";
+      });
+
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveLastReturnedWith("c d");
+    });
+
+    test("should not call watchers when a computed settles on the same value", async () => {
+      const source = ref(1);
+      const getter = vi.fn(() => source.value > 0);
+      const positive = computed(getter);
+      const callback = vi.fn();
+
+      watch(positive, callback);
+      source.value = 2;
+      source.value = 3;
+      expect(getter).toHaveBeenCalledTimes(1);
+
+      await nextTick();
+      expect(getter).toHaveBeenCalledTimes(2);
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test("should bump a dep's version on every change", () => {
+      const count = ref(0);
+      const runner = effect(() => count.value);
+      const [dep] = runner.deps;
+      const version = dep.version;
+
+      count.value++;
+      count.value++;
+      expect(dep.version).toBe(version + 2);
+    });
+
+    test("should retry a computed whose getter threw", () => {
+      const consoleSpy = vi
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      const count = ref(0);
+      let shouldThrow = true;
+      const double = computed(() => {
+        if (shouldThrow) throw new Error("boom");
+        return count.value * 2;
+      });
+
+      expect(() => double.value).toThrow("boom");
+      shouldThrow = false;
+      expect(double.value).toBe(0);
+
+      consoleSpy.mockRestore();
+    });
+
+    test("should keep notifying readers after a getter threw", async () => {
+      const consoleSpy = vi
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      const count = ref(1);
+      const tenfold = computed(() => {
+        if (count.value === 2) throw new Error("two");
+        return count.value * 10;
+      });
+      let seen;
+      const watched = [];
+      effect(() => {
+        seen = tenfold.value;
+      });
+      watch(tenfold, (value) => watched.push(value));
+
+      count.value = 2;
+      await nextTick();
+      expect(seen).toBe(10);
+
+      count.value = 3;
+      await nextTick();
+      count.value = 4;
+      await nextTick();
+
+      expect(seen).toBe(40);
+      expect(watched).toEqual([30, 40]);
+
+      consoleSpy.mockRestore();
+    });
+
+    test("should keep readers that catch the error subscribed", () => {
+      const consoleSpy = vi
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      const count = ref(0);
+      const checked = computed(() => {
+        if (count.value === 1) throw new Error("one");
+        return count.value;
+      });
+      const results = [];
+      effect(() => {
+        try {
+          results.push(checked.value);
+        } catch (error) {
+          results.push(error.message);
+        }
+      });
+
+      count.value = 1;
+      count.value = 2;
+
+      expect(results).toEqual([0, "one", 2]);
+      expect(consoleSpy).toHaveBeenCalledTimes(1);
+
+      consoleSpy.mockRestore();
+    });
+
+    test("should evaluate a throwing diamond node once per change", () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      try {
+        const count = ref(0);
+        const getter = vi.fn(() => {
+          if (count.value % 2) throw new Error("odd");
+          return count.value;
+        });
+        const checked = computed(getter);
+        const left = computed(() => checked.value + 1);
+        const right = computed(() => checked.value - 1);
+        const results = [];
+        effect(() => {
+          try {
+            results.push(left.value + right.value);
+          } catch (error) {
+            results.push(error.message);
+          }
+        });
+        getter.mockClear();
+
+        count.value = 1;
+        expect(getter).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledTimes(1);
+
+        count.value = 2;
+        expect(getter).toHaveBeenCalledTimes(2);
+        expect(results).toEqual([0, "odd", 4]);
+      } finally {
+        setErrorHandler(null);
+      }
+    });
+  });
+
+  describe("watch()", () => {
+    test("should watch reactive sources", async () => {
+      const count = ref(0);
+      let dummy;
+
+      watch(count, (newVal, oldVal) => {
+        dummy = [newVal, oldVal];
+      });
+
+      count.value++;
+      await nextTick();
+      expect(dummy).toEqual([1, 0]);
+    });
+
+    test("should watch getter functions", async () => {
+      const count = ref(0);
+      let dummy;
+
+      watch(
+        () => count.value,
+        (newVal, oldVal) => {
+          dummy = [newVal, oldVal];
+        }
+      );
+
+      count.value++;
+      await nextTick();
+      expect(dummy).toEqual([1, 0]);
+    });
+
+    test("should batch changes made in the same tick", async () => {
+      const count = ref(0);
+      const callback = vi.fn();
+
+      watch(count, callback);
+      callback.mockClear();
+
+      count.value++;
+      count.value++;
+      count.value++;
+      expect(callback).not.toHaveBeenCalled();
+
+      await nextTick();
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(3, 0, expect.any(Function));
+    });
+
+    test("should not run the callback on creation", () => {
+      const callback = vi.fn();
+
+      watch(ref(0), callback);
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test("should not run the callback when the value is unchanged", async () => {
+      const count = ref(1);
+      const callback = vi.fn();
+
+      watch(() => count.value % 2, callback);
+      count.value = 3;
+      await nextTick();
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test("should return a stop function", async () => {
+      const count = ref(0);
+      const callback = vi.fn();
+
+      const unwatch = watch(count, callback);
+      unwatch();
+
+      count.value++;
+      await nextTick();
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    test("should run the callback immediately with immediate", () => {
+      const count = ref(0);
+      const callback = vi.fn();
+
+      watch(count, callback, { immediate: true });
+      expect(callback).toHaveBeenCalledWith(0, undefined, expect.any(Function));
+    });
+
+    test("should watch nested properties with deep", async () => {
+      const state = reactive({ nested: { count: 0 } });
+      const callback = vi.fn();
+
+      watch(() => state.nested, callback, { deep: true });
+      state.nested.count++;
+      await nextTick();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test("should watch reactive objects deeply by default", async () => {
+      const state = reactive({ nested: { count: 0 } });
+      const callback = vi.fn();
+
+      watch(state, callback);
+      state.nested.count++;
+      await nextTick();
+      expect(callback).toHaveBeenCalledWith(state, state, expect.any(Function));
+    });
+
+    test("should only watch the top level of a reactive object with deep: false", async () => {
+      const state = reactive({ count: 0, nested: { count: 0 } });
+      const callback = vi.fn();
+
+      watch(state, callback, { deep: false });
+      state.nested.count++;
+      await nextTick();
+      expect(callback).not.toHaveBeenCalled();
+
+      state.count++;
+      await nextTick();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test("should stop after the first callback with once", async () => {
+      const count = ref(0);
+      const callback = vi.fn();
+
+      watch(count, callback, { once: true });
+      count.value++;
+      await nextTick();
+      count.value++;
+      await nextTick();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    test("should watch multiple sources", async () => {
+      const count = ref(0);
+      const state = reactive({ name: "a" });
+      const callback = vi.fn();
+
+      watch([count, () => state.name], callback);
+      count.value++;
+      state.name = "b";
+      await nextTick();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(
+        [1, "b"],
+        [0, "a"],
+        expect.any(Function)
+      );
+    });
+
+    test("should pass an empty old value array to immediate multi-source callbacks", () => {
+      const callback = vi.fn();
+
+      watch([ref(1), ref(2)], callback, { immediate: true });
+      expect(callback).toHaveBeenCalledWith([1, 2], [], expect.any(Function));
+    });
+
+    test("should run cleanup before the next callback and on stop", async () => {
+      const count = ref(0);
+      const cleanups = [];
+
+      const unwatch = watch(count, (value, oldValue, onCleanup) => {
+        onCleanup(() => cleanups.push(value));
+      });
+
+      count.value++;
+      await nextTick();
+      expect(cleanups).toEqual([]);
+
+      count.value++;
+      await nextTick();
+      expect(cleanups).toEqual([1]);
+
+      unwatch();
+      expect(cleanups).toEqual([1, 2]);
+    });
+
+    test("should run the callback synchronously with flush: sync", () => {
+      const count = ref(0);
+      const callback = vi.fn();
+
+      watch(count, callback, { flush: "sync" });
+      count.value++;
+      count.value++;
+      expect(callback).toHaveBeenCalledTimes(2);
+    });
+
+    test("should run post-flush callbacks after queued jobs", async () => {
+      const count = ref(0);
+      const calls = [];
+
+      watch(count, () => calls.push("post"), { flush: "post" });
+      watch(count, () => calls.push("pre"));
+
+      count.value++;
+      await nextTick();
+      expect(calls).toEqual(["pre", "post"]);
+    });
+
+    test("should throw on invalid sources", () => {
+      expect(() => watch(1, () => {})).toThrow(ERRORS.INVALID_WATCH_SOURCE);
+      expect(() => watch([ref(0), "x"], () => {})).toThrow(
+        ERRORS.INVALID_WATCH_SOURCE
+      );
+    });
+  });
+
+  describe("watchEffect()", () => {
+    test("should run immediately and re-run on the next tick", async () => {
+      const count = ref(0);
+      const fn = vi.fn(() => count.value);
+
+      watchEffect(fn);
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      count.value++;
+      count.value++;
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      await nextTick();
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test("should return a stop function", async () => {
+      const count = ref(0);
+      const fn = vi.fn(() => count.value);
+
+      const stopWatcher = watchEffect(fn);
+      stopWatcher();
+
+      count.value++;
+      await nextTick();
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should invalidate the previous run before re-running and on stop", async () => {
+      const id = ref(1);
+      const invalidated = [];
+
+      const stopWatcher = watchEffect((onCleanup) => {
+        const current = id.value;
+        onCleanup(() => invalidated.push(current));
+      });
+
+      id.value = 2;
+      await nextTick();
+      expect(invalidated).toEqual([1]);
+
+      stopWatcher();
+      expect(invalidated).toEqual([1, 2]);
+    });
+
+    test("should let stale async results be discarded", async () => {
+      const id = ref(1);
+      const results = [];
+      const resolvers = [];
+
+      watchEffect(async (onCleanup) => {
+        let cancelled = false;
+        onCleanup(() => {
+          cancelled = true;
+        });
+        const value = await new Promise((resolve) => {
+          const current = id.value;
+          resolvers.push(() => resolve(current));
+        });
+        if (!cancelled) results.push(value);
+      });
+
+      id.value = 2;
+      await nextTick();
+      resolvers.forEach((resolve) => resolve());
+      await new Promise((resolve) => setTimeout(resolve));
+
+      expect(results).toEqual([2]);
+    });
+
+    test("watchPostEffect() should run after queued jobs", async () => {
+      const count = ref(0);
+      const calls = [];
+
+      watchPostEffect(() => calls.push(`post ${count.value}`));
+      watchEffect(() => calls.push(`pre ${count.value}`));
+      expect(calls).toEqual(["pre 0"]);
+
+      await nextTick();
+      expect(calls).toEqual(["pre 0", "post 0"]);
+
+      count.value++;
+      await nextTick();
+      expect(calls).toEqual(["pre 0", "post 0", "pre 1", "post 1"]);
+    });
+
+    test("watchSyncEffect() should re-run synchronously", () => {
+      const count = ref(0);
+      const fn = vi.fn(() => count.value);
+
+      watchSyncEffect(fn);
+      count.value++;
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test("should report errors instead of throwing", async () => {
+      const consoleSpy = vi
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      const count = ref(0);
+      const error = new Error("boom");
+
+      expect(() =>
+        watchEffect(() => {
+          if (count.value > 0) throw error;
+        })
+      ).not.toThrow();
+
+      count.value++;
+      await nextTick();
+      expect(consoleSpy).toHaveBeenCalledWith(
+        `Error in ${ERROR_SOURCES.WATCH_CALLBACK}:`,
+        error
+      );
+
+      // The watcher keeps tracking after an error
+      count.value++;
+      await nextTick();
+      expect(consoleSpy).toHaveBeenCalledTimes(2);
+
+      consoleSpy.mockRestore();
+    });
+
+    test("should throw when not given a function", () => {
+      expect(() => watchEffect(ref(0))).toThrow(ERRORS.INVALID_WATCH_SOURCE);
+    });
+  });
+
+  describe("effectScope()", () => {
+    test("should run a function and return its result", () => {
+      const scope = effectScope();
+      expect(scope.run(() => 1)).toBe(1);
+    });
+
+    test("should collect and stop effects, computeds and watchers", async () => {
+      const count = ref(0);
+      const effectFn = vi.fn(() => count.value);
+      const watchFn = vi.fn();
+      let double;
+
+      const scope = effectScope();
+      scope.run(() => {
+        effect(effectFn);
+        double = computed(() => count.value * 2);
+        watch(count, watchFn);
+      });
+
+      expect(double.value).toBe(0);
+      expect(scope.effects).toHaveLength(3);
+
+      scope.stop();
+      count.value++;
+      await nextTick();
+
+      expect(effectFn).toHaveBeenCalledTimes(1);
+      expect(watchFn).not.toHaveBeenCalled();
+      expect(scope.effects).toHaveLength(0);
+    });
+
+    test("should stop nested scopes with their parent", () => {
+      const count = ref(0);
+      const fn = vi.fn(() => count.value);
+      const parent = effectScope();
+
+      parent.run(() => {
+        effectScope().run(() => effect(fn));
+      });
+
+      expect(parent.scopes).toHaveLength(1);
+      parent.stop();
+      count.value++;
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    test("should remove a stopped child from its parent", () => {
+      const parent = effectScope();
+      let first;
+      let second;
+
+      parent.run(() => {
+        first = effectScope();
+        second = effectScope();
+      });
+
+      first.stop();
+      expect(parent.scopes).toEqual([second]);
+    });
+
+    test("should not stop detached scopes with their parent", () => {
+      const count = ref(0);
+      const fn = vi.fn(() => count.value);
+      const parent = effectScope();
+
+      parent.run(() => {
+        effectScope(true).run(() => effect(fn));
+      });
+
+      expect(parent.scopes).toHaveLength(0);
+      parent.stop();
+      count.value++;
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test("getCurrentScope() should return the running scope", () => {
+      const scope = effectScope();
+
+      expect(getCurrentScope()).toBeUndefined();
+      scope.run(() => {
+        expect(getCurrentScope()).toBe(scope);
+      });
+      expect(getCurrentScope()).toBeUndefined();
+    });
+
+    test("onScopeDispose() should run callbacks when the scope stops", () => {
+      const dispose = vi.fn();
+      const scope = effectScope();
+
+      scope.run(() => onScopeDispose(dispose));
+      expect(dispose).not.toHaveBeenCalled();
+
+      scope.stop();
+      scope.stop();
+      expect(dispose).toHaveBeenCalledTimes(1);
+    });
+
+    test("should warn when used without an active scope", () => {
+      const consoleSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+      onScopeDispose(() => {});
+      expect(consoleSpy).toHaveBeenCalledWith(ERRORS.NO_ACTIVE_SCOPE);
+
+      const scope = effectScope();
+      scope.stop();
+      expect(scope.run(() => 1)).toBeUndefined();
+      expect(consoleSpy).toHaveBeenCalledWith(ERRORS.INACTIVE_SCOPE);
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe("batch()", () => {
+    test("should run sync effects once after the batch", () => {
+      const obj = reactive({ a: 1, b: 2 });
+      const fn = vi.fn(() => obj.a + obj.b);
+
+      effect(fn);
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      batch(() => {
+        obj.a = 10;
+        obj.b = 20;
+        expect(fn).toHaveBeenCalledTimes(1);
+      });
+
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveLastReturnedWith(30);
+    });
+
+    test("should only flush when the outermost batch ends", () => {
+      const count = ref(0);
+      const fn = vi.fn(() => count.value);
+
+      effect(fn);
+      batch(() => {
+        batch(() => {
+          count.value++;
+        });
+        expect(fn).toHaveBeenCalledTimes(1);
+        count.value++;
+      });
+
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveLastReturnedWith(2);
+    });
+
+    test("should return the result of the function", () => {
+      expect(batch(() => 42)).toBe(42);
+    });
+
+    test("should flush pending effects when the function throws", () => {
+      const count = ref(0);
+      const fn = vi.fn(() => count.value);
+
+      effect(fn);
+      expect(() =>
+        batch(() => {
+          count.value++;
+          throw new Error("boom");
+        })
+      ).toThrow("boom");
+
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe("scheduler", () => {
+    test("should run queued effects once on the next tick", async () => {
+      const obj = reactive({ a: 1, b: 2 });
+      const fn = vi.fn(() => obj.a + obj.b);
+
+      effect(fn, { flush: "pre" });
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      obj.a = 10;
+      obj.b = 20;
+      expect(fn).toHaveBeenCalledTimes(1);
+
+      await nextTick();
+      expect(fn).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveLastReturnedWith(30);
+    });
+
+    test("should de-duplicate jobs and keep them ordered by id", async () => {
+      const calls = [];
+      const first = () => calls.push("first");
+      const second = () => calls.push("second");
+      first.id = 1;
+      second.id = 2;
+
+      queueJob(second);
+      queueJob(first);
+      queueJob(second);
+
+      await nextTick();
+      expect(calls).toEqual(["first", "second"]);
+    });
+
+    test("should run jobs queued during a flush in the same flush", async () => {
+      const calls = [];
+      const inner = () => calls.push("inner");
+      const outer = () => {
+        calls.push("outer");
+        queueJob(inner);
+      };
+
+      queueJob(outer);
+      await nextTick();
+      expect(calls).toEqual(["outer", "inner"]);
+    });
+
+    test("nextTick() should accept a callback", async () => {
+      const fn = vi.fn();
+
+      await nextTick(fn);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("shallowReactive()", () => {
+    test("should only make top-level properties reactive", () => {
+      const obj = shallowReactive({ nested: { count: 0 } });
+      let dummy;
+
+      effect(() => {
+        dummy = obj.nested.count;
+      });
+
+      expect(dummy).toBe(0);
+      obj.nested.count++;
+      expect(dummy).toBe(0); // Should not trigger effect
+    });
+
+    test("should store values as they are in shallow collections", () => {
+      const map = shallowReactive(new Map());
+      const set = shallowReactive(new Set());
+      const state = reactive({ count: 0 });
+
+      map.set("a", state);
+      set.add(state);
+
+      expect(map.get("a")).toBe(state);
+      expect(isReactive(map.get("a"))).toBe(true);
+      expect(set.has(state)).toBe(true);
+      expect([...set][0]).toBe(state);
+
+      // Deep collections keep readonly values readonly, like objects do
+      const deep = reactive(new Map());
+      deep.set("locked", readonly({ count: 0 }));
+      expect(isReadonly(deep.get("locked"))).toBe(true);
+    });
+  });
+
+  describe("readonly()", () => {
+    test("should keep separate proxies per flavor", () => {
+      const obj = { count: 0 };
+      const reactiveObj = reactive(obj);
+      const readonlyObj = readonly(obj);
+
+      expect(readonlyObj).not.toBe(reactiveObj);
+      expect(readonly(obj)).toBe(readonlyObj);
+      expect(reactive(obj)).toBe(reactiveObj);
+      expect(shallowReactive(obj)).not.toBe(reactiveObj);
+      expect(shallowReadonly(obj)).not.toBe(readonlyObj);
+    });
+
+    test("should return the same proxy when given a proxy", () => {
+      const reactiveObj = reactive({ count: 0 });
+      const readonlyObj = readonly({ count: 0 });
+
+      expect(reactive(reactiveObj)).toBe(reactiveObj);
+      expect(reactive(readonlyObj)).toBe(readonlyObj);
+      expect(readonly(readonlyObj)).toBe(readonlyObj);
+    });
+
+    test("should track the source of a readonly reactive object", () => {
+      const source = reactive({ count: 0, nested: { count: 0 } });
+      const view = readonly(source);
+      let dummy;
+      let nested;
+
+      effect(() => {
+        dummy = view.count;
+        nested = view.nested.count;
+      });
+
+      source.count++;
+      source.nested.count++;
+      expect(dummy).toBe(1);
+      expect(nested).toBe(1);
+      expect(isReadonly(view.nested)).toBe(true);
+      expect(toRaw(view)).toBe(toRaw(source));
+    });
+
+    test("should only make top-level properties readonly with shallowReadonly()", () => {
+      const consoleSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const obj = shallowReadonly({ count: 0, nested: { count: 0 } });
+
+      obj.count = 1;
+      obj.nested.count = 1;
+
+      expect(obj.count).toBe(0);
+      expect(obj.nested.count).toBe(1);
+      expect(isReactive(obj.nested)).toBe(false);
+      expect(consoleSpy).toHaveBeenCalledTimes(1);
+      consoleSpy.mockRestore();
+    });
+
+    test("should report the flavor of a proxy", () => {
+      const obj = {};
+
+      expect(isProxy(obj)).toBe(false);
+      expect(isReadonly(obj)).toBe(false);
+      expect(isShallow(obj)).toBe(false);
+
+      expect(isProxy(reactive(obj))).toBe(true);
+      expect(isReadonly(reactive(obj))).toBe(false);
+
+      expect(isReactive(readonly(obj))).toBe(false);
+      expect(isReadonly(readonly(obj))).toBe(true);
+      expect(isReactive(readonly(reactive(obj)))).toBe(true);
+
+      expect(isShallow(shallowReactive(obj))).toBe(true);
+      expect(isShallow(shallowReadonly(obj))).toBe(true);
+      expect(isReadonly(shallowReadonly(obj))).toBe(true);
+
+      expect(isReadonly(readonly(new Map()))).toBe(true);
+      expect(isReactive(reactive(new Set()))).toBe(true);
+    });
+
+    test("should keep readonly proxies readonly when nested in reactive objects", () => {
+      const consoleSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const inner = readonly({ count: 0 });
+      const obj = reactive({ inner: null });
+
+      obj.inner = inner;
+      obj.inner.count = 1;
+
+      expect(obj.inner).toBe(inner);
+      expect(inner.count).toBe(0);
+      consoleSpy.mockRestore();
+    });
+
+    test("should validate its target", () => {
+      expect(() => readonly(1)).toThrow(ERRORS.INVALID_TYPE);
+      expect(() => shallowReadonly(null)).toThrow(ERRORS.INVALID_TYPE);
+    });
+
+    test("should throw on writes in strict mode", () => {
+      const obj = readonly({ count: 0, nested: {} });
+      const map = readonly(new Map());
+
+      setStrictMode(true);
+      try {
+        expect(() => {
+          obj.count = 1;
+        }).toThrow(ERRORS.READONLY);
+        expect(() => delete obj.nested).toThrow(ERRORS.READONLY);
+        expect(() => map.set("a", 1)).toThrow(ERRORS.READONLY);
+      } finally {
+        setStrictMode(false);
+      }
+      expect(obj.count).toBe(0);
+    });
+  });
+
+  describe("markRaw() and non-plain targets", () => {
+    test("should pass built-ins with internal slots through unwrapped", () => {
+      const date = new Date(0);
+      const state = reactive({
+        date,
+        pattern: /a+/,
+        bytes: new Uint8Array([1, 2]),
+        promise: Promise.resolve(1),
+      });
+
+      expect(state.date).toBe(date);
+      expect(state.date.getTime()).toBe(0);
+      expect(state.pattern.test("aa")).toBe(true);
+      expect(state.bytes[1]).toBe(2);
+      expect(isReactive(state.promise)).toBe(false);
+      expect(reactive(date)).toBe(date);
+    });
+
+    test("should still make class instances reactive", () => {
+      class Counter {
+        constructor() {
+          this.count = 0;
+        }
+        increment() {
+          this.count++;
+        }
+      }
+      const counter = reactive(new Counter());
+      let dummy;
+
+      effect(() => {
+        dummy = counter.count;
+      });
+
+      counter.increment();
+      expect(dummy).toBe(1);
+    });
+
+    test("should never proxy objects marked with markRaw()", () => {
+      const heavy = markRaw({ items: [1, 2, 3] });
+      const state = reactive({ heavy });
+
+      expect(state.heavy).toBe(heavy);
+      expect(isReactive(reactive(heavy))).toBe(false);
+      expect(Object.keys(heavy)).toEqual(["items"]);
+      expect(markRaw(heavy)).toBe(heavy);
+    });
+
+    test("should skip frozen and non-extensible objects", () => {
+      const frozen = Object.freeze({ count: 0 });
+      const sealed = Object.preventExtensions({ count: 0 });
+      const state = reactive({ frozen, sealed });
+
+      expect(state.frozen).toBe(frozen);
+      expect(state.sealed).toBe(sealed);
+      expect(isProxy(readonly(frozen))).toBe(false);
+    });
+  });
+
+  describe("debugger hooks", () => {
+    test("should call onTrack for each new dependency", () => {
+      const state = reactive({ count: 0, items: [] });
+      const onTrack = vi.fn();
+
+      const runner = effect(
+        () => {
+          state.count;
+          state.count;
+          "items" in state;
+          Object.keys(state);
+        },
+        { onTrack }
+      );
+
+      expect(onTrack).toHaveBeenCalledTimes(3);
+      expect(onTrack).toHaveBeenNthCalledWith(1, {
+        effect: runner,
+        target: toRaw(state),
+        type: "get",
+        key: "count",
+      });
+      expect(onTrack.mock.calls[1][0]).toMatchObject({
+        type: "has",
+        key: "items",
+      });
+      expect(onTrack.mock.calls[2][0].type).toBe("iterate");
+    });
+
+    test("should call onTrigger with the change", () => {
+      const state = reactive({ count: 0 });
+      const onTrigger = vi.fn();
+
+      const runner = effect(
+        () => {
+          Object.keys(state);
+          state.count;
+        },
+        { onTrigger }
+      );
+
+      state.count = 1;
+      expect(onTrigger).toHaveBeenLastCalledWith({
+        effect: runner,
+        target: toRaw(state),
+        type: "set",
+        key: "count",
+        newValue: 1,
+        oldValue: 0,
+      });
+
+      state.added = true;
+      expect(onTrigger).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: "add", key: "added", newValue: true })
+      );
+
+      delete state.count;
+      expect(onTrigger).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: "delete", key: "count", oldValue: 1 })
+      );
+    });
+
+    test("should support debugger hooks on refs, computed and watch", async () => {
+      const count = ref(0);
+      const onComputedTrigger = vi.fn();
+      const onWatchTrack = vi.fn();
+      const onWatchTrigger = vi.fn();
+
+      const doubled = computed(() => count.value * 2, {
+        onTrigger: onComputedTrigger,
+      });
+      watch(doubled, () => {}, {
+        onTrack: onWatchTrack,
+        onTrigger: onWatchTrigger,
+      });
+
+      expect(onWatchTrack).toHaveBeenCalledWith(
+        expect.objectContaining({ target: doubled, key: "value" })
+      );
+
+      count.value = 1;
+      expect(onComputedTrigger).toHaveBeenCalledWith(
+        expect.objectContaining({
+          target: count,
+          type: "set",
+          key: "value",
+          newValue: 1,
+          oldValue: 0,
+        })
+      );
+      // The watcher is only notified once the computed value is pulled
+      expect(onWatchTrigger).not.toHaveBeenCalled();
+      await nextTick();
+    });
+  });
+
+  describe("introspection", () => {
+    test("should list the dependencies of an effect", () => {
+      const state = reactive({ a: 1, b: 2 });
+      const count = ref(0);
+      const sum = computed(() => state.a + state.b);
+
+      const runner = effect(() => sum.value + count.value);
+
+      expect(getDependencies(runner)).toEqual([
+        { target: sum, key: "value" },
+        { target: count, key: "value" },
+      ]);
+      expect(getDependencies(sum)).toEqual([
+        { target: toRaw(state), key: "a" },
+        { target: toRaw(state), key: "b" },
+      ]);
+    });
+
+    test("should list the subscribers of a property", () => {
+      const state = reactive({ count: 0 });
+      const count = ref(0);
+
+      const runner = effect(() => state.count + count.value);
+
+      expect(getSubscribers(state, "count")).toEqual([runner]);
+      expect(getSubscribers(toRaw(state), "count")).toEqual([runner]);
+      expect(getSubscribers(count)).toEqual([runner]);
+      expect(getSubscribers(state, "missing")).toEqual([]);
+
+      runner.stop();
+      expect(getSubscribers(state, "count")).toEqual([]);
+    });
+
+    test("should dump the dependency graph as JSON", () => {
+      const state = reactive({ a: 1 });
+      const doubled = computed(() => state.a * 2);
+      const runner = effect(() => doubled.value);
+
+      const graph = JSON.parse(dumpGraph([runner]));
+      const computedId = `computed:${doubled.effect.id}`;
+      const effectId = `effect:${runner.id}`;
+
+      expect(graph.nodes).toEqual([
+        { id: effectId, type: "effect", label: `effect #${runner.id}` },
+        {
+          id: computedId,
+          type: "computed",
+          label: `computed #${doubled.effect.id}`,
+        },
+        { id: "dep:2", type: "dep", label: "Object.a" },
+      ]);
+      expect(graph.edges).toEqual([
+        { from: computedId, to: effectId },
+        { from: "dep:2", to: computedId },
+      ]);
+    });
+
+    test("should dump the dependency graph as DOT", () => {
+      const count = ref(0);
+      const runner = effect(() => count.value);
+
+      const dot = dumpGraph([runner], "dot");
+
+      expect(dot).toMatch(/^digraph reactive \{/);
+      expect(dot).toContain('[label="ref.value", shape=ellipse];');
+      expect(dot).toContain(`"dep:1" -> "effect:${runner.id}";`);
+      expect(() => dumpGraph([runner], "svg")).toThrow(
+        ERRORS.INVALID_GRAPH_FORMAT
+      );
+    });
+  });
+
+  describe("createReactiveRuntime()", () => {
+    test("should keep the dependency graphs of runtimes apart", () => {
+      const runtime = createReactiveRuntime();
+      const raw = { count: 0 };
+      const shared = reactive(raw);
+      const isolated = runtime.reactive(raw);
+      const fn = vi.fn(() => isolated.count);
+
+      expect(isolated).not.toBe(shared);
+      expect(runtime.reactive(raw)).toBe(isolated);
+
+      runtime.effect(fn);
+      // An effect of the default runtime doesn't see the other runtime's reads
+      effect(() => shared.count);
+      isolated.count++;
+      expect(fn).toHaveBeenCalledTimes(2);
+
+      shared.count++;
+      expect(fn).toHaveBeenCalledTimes(2);
+    });
+
+    test("should provide the full API", () => {
+      const runtime = createReactiveRuntime();
+      const count = runtime.ref(1);
+      const doubled = runtime.computed(() => count.value * 2);
+
+      expect(runtime.isRef(count)).toBe(true);
+      expect(doubled.value).toBe(2);
+      expect(typeof runtime.watch).toBe("function");
+      expect(typeof runtime.effectScope).toBe("function");
+      expect(runtime.toRaw).toBe(toRaw);
+    });
+
+    test("should apply its own limits", () => {
+      const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+      const runtime = createReactiveRuntime({ maxStack: 3, warnThreshold: 2 });
+
+      const nest = (depth) => {
+        if (depth > 0) runtime.effect(() => nest(depth - 1));
+      };
+
+      expect(() => nest(3)).not.toThrow();
+      expect(warnSpy).toHaveBeenCalledWith(ERRORS.STACK_WARNING);
+      expect(() => nest(4)).toThrow(ERRORS.MAX_STACK);
+
+      // The default runtime keeps the default limits
+      const defaultNest = (depth) => {
+        if (depth > 0) effect(() => defaultNest(depth - 1));
+      };
+      expect(() => defaultNest(4)).not.toThrow();
+
+      warnSpy.mockRestore();
+      errorSpy.mockRestore();
+    });
+
+    test("should limit deep traversal with maxDepth", () => {
+      const errorSpy = vi.spyOn(console, "error").mockImplementation(() => {});
+      const runtime = createReactiveRuntime({ maxDepth: 2 });
+      const state = runtime.reactive({ a: { b: { c: 1 } } });
+
+      expect(() => runtime.watch(state, () => {})).toThrow(
+        ERRORS.MAX_RECURSION
+      );
+      expect(() =>
+        watch(reactive({ a: { b: { c: 1 } } }), () => {})
+      ).not.toThrow();
+
+      errorSpy.mockRestore();
+    });
+
+    test("should report runaway jobs and effects to the error handler", async () => {
+      const errorHandler = vi.fn();
+      const runtime = createReactiveRuntime({ maxDepth: 3, errorHandler });
+      const job = () => runtime.queueJob(job);
+      runtime.queueJob(job);
+      await runtime.nextTick();
+
+      const state = runtime.reactive({ a: 0, b: 0 });
+      runtime.effect(() => {
+        state.b = state.a + 1;
+      });
+      runtime.effect(() => {
+        state.a = state.b + 1;
+      });
+
+      expect(errorHandler).toHaveBeenCalledTimes(2);
+      errorHandler.mock.calls.forEach(([error, source]) => {
+        expect(error.message).toBe(ERRORS.MAX_RECURSION);
+        expect(source).toBe(ERROR_SOURCES.SCHEDULER);
+      });
+    });
+
+    test("should flush queued jobs with a custom scheduler", async () => {
+      const flushes = [];
+      const runtime = createReactiveRuntime({
+        scheduler: (flush) => flushes.push(flush),
+      });
+      const count = runtime.ref(0);
+      const callback = vi.fn();
+
+      runtime.watch(count, callback);
+      count.value++;
+      count.value++;
+
+      expect(flushes).toHaveLength(1);
+      expect(callback).not.toHaveBeenCalled();
+
+      const tick = runtime.nextTick();
+      flushes[0]();
+      await tick;
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback).toHaveBeenCalledWith(2, 0, expect.any(Function));
+    });
+
+    test("should use the configured error handler", () => {
+      const errorHandler = vi.fn();
+      const runtime = createReactiveRuntime({ errorHandler });
+      const count = runtime.ref(0);
+
+      runtime.effect(() => {
+        if (count.value > 0) throw new Error("boom");
+      });
+      count.value++;
+
+      expect(errorHandler).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "boom" }),
+        ERROR_SOURCES.EFFECT,
+        expect.objectContaining({ key: "value" })
+      );
+    });
+
+    test("should report errors rethrown across runtimes in each", () => {
+      const errorHandler = vi.fn();
+      const runtime = createReactiveRuntime({ errorHandler });
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      try {
+        const error = new Error("boom");
+
+        expect(() =>
+          effect(() => {
+            runtime.effect(() => {
+              throw error;
+            });
+          })
+        ).toThrow(error);
+
+        expect(errorHandler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledTimes(1);
+      } finally {
+        setErrorHandler(null);
+      }
+    });
+  });
+
+  describe("snapshot()", () => {
+    test("should take a deep, plain and frozen copy", () => {
+      const state = reactive({
+        user: { name: "Ada", tags: ["a"] },
+        count: ref(1),
+        map: new Map([["k", { v: 1 }]]),
+        set: new Set([1]),
+      });
+
+      const copy = snapshot(state);
+
+      expect(copy).toEqual({
+        user: { name: "Ada", tags: ["a"] },
+        count: 1,
+        map: new Map([["k", { v: 1 }]]),
+        set: new Set([1]),
+      });
+      expect(isProxy(copy.user)).toBe(false);
+      expect(isProxy(copy.map.get("k"))).toBe(false);
+      expect(Object.isFrozen(copy)).toBe(true);
+      expect(Object.isFrozen(copy.user.tags)).toBe(true);
+      expect(snapshot(ref({ a: 1 }))).toEqual({ a: 1 });
+    });
+
+    test("should share unchanged parts between snapshots", () => {
+      const state = reactive({ a: { value: 1 }, b: { value: 2 } });
+
+      const first = snapshot(state);
+      expect(snapshot(state)).toBe(first);
+
+      state.b.value = 3;
+      const second = snapshot(state);
+
+      expect(second).not.toBe(first);
+      expect(second.a).toBe(first.a);
+      expect(second.b).not.toBe(first.b);
+      expect(first.b.value).toBe(2);
+    });
+
+    test("should not share copies of Maps, Sets and Dates", () => {
+      const state = reactive({
+        tags: new Set(["a"]),
+        meta: { at: new Date(0) },
+      });
+
+      const first = snapshot(state);
+      first.tags.add("b");
+      first.meta.at.setTime(1);
+      const second = snapshot(state);
+
+      expect(second.tags).toEqual(new Set(["a"]));
+      expect(second.meta.at.getTime()).toBe(0);
+      expect(second.meta).not.toBe(first.meta);
+    });
+
+    test("should handle cycles and raw values", () => {
+      const heavy = markRaw({ big: true });
+      const node = { name: "root", heavy };
+      node.self = node;
+
+      const copy = snapshot(reactive(node));
+
+      expect(copy.self).toBe(copy);
+      expect(copy.heavy).toBe(heavy);
+    });
+
+    test("should not track while copying", () => {
+      const state = reactive({ count: 0 });
+      const fn = vi.fn(() => snapshot(state));
+
+      effect(fn);
+      state.count++;
+
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("serialize() and hydrate()", () => {
+    test("should round-trip Date, Map, Set and BigInt values", () => {
+      const state = reactive({
+        createdAt: new Date("2024-01-02T03:04:05.000Z"),
+        lookup: new Map([["a", new Set([1, 2])]]),
+        big: 12345678901234567890n,
+        nested: { list: [1, { at: new Date(0) }] },
+      });
+
+      const text = serialize(state);
+      const target = reactive({});
+      hydrate(target, text);
+
+      expect(typeof text).toBe("string");
+      expect(target.createdAt).toBeInstanceOf(Date);
+      expect(target.createdAt.toISOString()).toBe("2024-01-02T03:04:05.000Z");
+      expect(target.lookup.get("a").has(2)).toBe(true);
+      expect(target.big).toBe(12345678901234567890n);
+      expect(target.nested.list[1].at.getTime()).toBe(0);
+    });
+
+    test("should escape user objects with a $type key", () => {
+      const state = reactive({
+        item: { $type: "Set", value: [1, 2] },
+        nested: { $type: "custom", inner: new Set([1]) },
+      });
+      const target = reactive({});
+
+      hydrate(target, serialize(state));
+
+      expect(target.item).toEqual({ $type: "Set", value: [1, 2] });
+      expect(target.nested.$type).toBe("custom");
+      expect(target.nested.inner).toBeInstanceOf(Set);
+    });
+
+    test("should support custom revivers", () => {
+      class Point {
+        constructor(x, y) {
+          this.x = x;
+          this.y = y;
+        }
+      }
+      const revivers = [
+        {
+          type: "Point",
+          test: (value) => value instanceof Point,
+          serialize: (point) => [point.x, point.y],
+          deserialize: ([x, y]) => new Point(x, y),
+        },
+      ];
+      const state = reactive({ origin: markRaw(new Point(1, 2)) });
+
+      const target = hydrate(reactive({}), serialize(state, { revivers }), {
+        revivers,
+      });
+
+      expect(target.origin).toBeInstanceOf(Point);
+      expect(target.origin.y).toBe(2);
+    });
+
+    test("should only trigger the keys that changed", () => {
+      const state = reactive({
+        a: 1,
+        nested: { b: 2, c: 3 },
+        list: [1, 2, 3],
+        map: new Map([["x", 1]]),
+        removed: true,
+      });
+      const nested = state.nested;
+      const onA = vi.fn(() => state.a);
+      const onB = vi.fn(() => state.nested.b);
+      const onC = vi.fn(() => state.nested.c);
+      const onList = vi.fn(() => state.list.length);
+      const onMap = vi.fn(() => state.map.get("x"));
+
+      [onA, onB, onC, onList, onMap].forEach((fn) => effect(fn));
+
+      hydrate(
+        state,
+        serialize({
+          a: 1,
+          nested: { b: 2, c: 4 },
+          list: [1, 2],
+          map: new Map([["x", 1]]),
+        })
+      );
+
+      expect(state.nested).toBe(nested);
+      expect(state.nested.c).toBe(4);
+      expect("removed" in state).toBe(false);
+      expect(onA).toHaveBeenCalledTimes(1);
+      expect(onB).toHaveBeenCalledTimes(1);
+      expect(onMap).toHaveBeenCalledTimes(1);
+      expect(onC).toHaveBeenCalledTimes(2);
+      expect(onList).toHaveBeenCalledTimes(2);
+    });
+
+    test("should hydrate refs and plain data", () => {
+      const count = ref(0);
+      const settings = ref({ theme: "light" });
+      const theme = settings.value;
+
+      hydrate(count, "5");
+      hydrate(settings, { theme: "dark" });
+
+      expect(count.value).toBe(5);
+      expect(settings.value).toBe(theme);
+      expect(theme.theme).toBe("dark");
+    });
+  });
+
+  describe("onPatch() and applyPatches()", () => {
+    test("should emit JSON patches with pointer paths", () => {
+      const state = reactive({ user: { name: "Ann" }, "a/b": 1 });
+      const patches = [];
+      onPatch(state, (patch) => patches.push(patch));
+
+      state.user.name = "Bob";
+      state.user.age = 30;
+      delete state.user.age;
+      state["a/b"] = 2;
+      state.user.name = "Bob";
+
+      expect(patches).toEqual([
+        { op: "replace", path: "/user/name", value: "Bob", oldValue: "Ann" },
+        { op: "add", path: "/user/age", value: 30 },
+        { op: "remove", path: "/user/age", oldValue: 30 },
+        { op: "replace", path: "/a~1b", value: 2, oldValue: 1 },
+      ]);
+    });
+
+    test("should emit element operations for array methods", () => {
+      const state = reactive({ list: [1, 2, 3] });
+      const patches = [];
+      onPatch(state, (patch) => patches.push(patch));
+
+      state.list.push(4);
+      state.list.pop();
+      state.list.length = 1;
+
+      expect(patches).toEqual([
+        { op: "add", path: "/list/3", value: 4 },
+        { op: "remove", path: "/list/3", oldValue: 4 },
+        { op: "remove", path: "/list/2", oldValue: 3 },
+        { op: "remove", path: "/list/1", oldValue: 2 },
+      ]);
+    });
+
+    test("should find paths to objects moved around the tree", () => {
+      const item = { done: false };
+      const state = reactive({ todos: [{ done: true }, item] });
+      const patches = [];
+      onPatch(state, (patch) => patches.push(patch));
+
+      const proxy = state.todos[1];
+      state.todos.shift();
+      proxy.done = true;
+
+      expect(patches.at(-1)).toEqual({
+        op: "replace",
+        path: "/todos/0/done",
+        value: true,
+        oldValue: false,
+      });
+    });
+
+    test("should replay patches on another state", () => {
+      const source = reactive({ todos: [{ text: "a" }], filter: "all" });
+      const target = reactive({ todos: [{ text: "a" }], filter: "all" });
+      const patches = [];
+      onPatch(source, (patch) => patches.push(patch));
+
+      source.todos.unshift({ text: "b" });
+      source.todos.splice(1, 1);
+      source.filter = "done";
+      delete source.filter;
+
+      const spy = vi.fn(() => target.todos.map((todo) => todo.text));
+      effect(spy);
+      applyPatches(target, patches);
+
+      expect(snapshot(target)).toEqual(snapshot(source));
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(isReactive(target.todos[0])).toBe(true);
+      target.todos[0].text = "c";
+      expect(spy).toHaveBeenCalledTimes(3);
+    });
+
+    test("should undo changes with inverse patches", () => {
+      const state = reactive({ count: 1, list: ["a"] });
+      const initial = snapshot(state);
+      const inverse = [];
+      const patches = [];
+      onPatch(state, (patch, inversePatch) => {
+        patches.push(patch);
+        inverse.unshift(inversePatch);
+      });
+
+      state.count = 2;
+      state.extra = true;
+      state.list.push("b");
+      state.list.shift();
+
+      expect(invertPatches(patches)).toEqual(inverse);
+      applyPatches(state, [...inverse]);
+      expect(snapshot(state)).toEqual(initial);
+    });
+
+    test("should only record links inside observed trees", () => {
+      const state = reactive({ items: [] });
+      const paths = [];
+      onPatch(state, (patch) => paths.push(patch.path));
+      const other = reactive({ inner: { value: 0 } });
+
+      other.inner.value = 1;
+      state.items.push(other.inner);
+      other.inner.value = 2;
+
+      expect(paths).toEqual(["/items/0", "/items/0/value"]);
+    });
+
+    test("should support move, copy and test operations", () => {
+      const state = reactive({ a: { x: 1 }, list: [1, 2] });
+
+      applyPatches(state, [
+        { op: "test", path: "/a/x", value: 1 },
+        { op: "copy", from: "/a", path: "/b" },
+        { op: "move", from: "/list/0", path: "/list/-" },
+      ]);
+
+      expect(snapshot(state)).toEqual({
+        a: { x: 1 },
+        b: { x: 1 },
+        list: [2, 1],
+      });
+      expect(toRaw(state.b)).not.toBe(toRaw(state.a));
+      expect(() =>
+        applyPatches(state, [{ op: "test", path: "/a/x", value: 2 }])
+      ).toThrow(ERRORS.PATCH_TEST_FAILED);
+      // Objects are equal whatever the order of their keys
+      state.c = { b: 2, a: [1, { y: 1, x: 0 }] };
+      applyPatches(state, [
+        { op: "test", path: "/c", value: { a: [1, { x: 0, y: 1 }], b: 2 } },
+      ]);
+      expect(() =>
+        applyPatches(state, [
+          { op: "test", path: "/c", value: { a: [1, { x: 0 }], b: 2 } },
+        ])
+      ).toThrow(ERRORS.PATCH_TEST_FAILED);
+      expect(() =>
+        applyPatches(state, [{ op: "replace", path: "/missing/x", value: 1 }])
+      ).toThrow(ERRORS.INVALID_PATCH);
+    });
+
+    test("should only report writes to objects in the tree", () => {
+      const state = reactive({ items: [{ n: 0 }] });
+      const early = state.items[0];
+      const detached = reactive({ n: 0 });
+      const patches = [];
+      onPatch(state, (patch) => patches.push(patch.path));
+
+      early.n = 1;
+      detached.n = 1;
+      state.added = detached;
+      detached.n = 2;
+      state.items.splice(0, 1);
+      early.n = 2;
+
+      expect(patches).toEqual(["/items/0/n", "/added", "/added/n", "/items/0"]);
+    });
+
+    test("should report listener errors without failing the write", () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      try {
+        const state = reactive({ a: 1 });
+        const spy = vi.fn(() => state.a);
+        effect(spy);
+        const error = new Error("listener");
+        onPatch(state, () => {
+          throw error;
+        });
+
+        expect(() => {
+          state.a = 2;
+        }).not.toThrow();
+        expect(state.a).toBe(2);
+        expect(spy).toHaveBeenCalledTimes(2);
+        expect(handler).toHaveBeenCalledWith(
+          error,
+          ERROR_SOURCES.PATCH_LISTENER,
+          expect.anything()
+        );
+      } finally {
+        setErrorHandler(null);
+      }
+    });
+
+    test("should stop emitting after unsubscribing", () => {
+      const state = reactive({ count: 0 });
+      const listener = vi.fn();
+      const stopListening = onPatch(state, listener);
+
+      state.count++;
+      stopListening();
+      state.count++;
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("useHistory()", () => {
+    test("should undo and redo the changes made in a tick as one step", async () => {
+      const state = reactive({ title: "Draft", items: ["a"] });
+      const history = useHistory(state);
+      expect(history.canUndo.value).toBe(false);
+
+      state.title = "Final";
+      state.items.push("b");
+      expect(history.canUndo.value).toBe(true);
+      await nextTick();
+
+      state.items.push("c");
+      await nextTick();
+
+      expect(history.undo()).toBe(true);
+      expect(snapshot(state)).toEqual({ title: "Final", items: ["a", "b"] });
+      history.undo();
+      expect(snapshot(state)).toEqual({ title: "Draft", items: ["a"] });
+      expect(history.canUndo.value).toBe(false);
+      expect(history.canRedo.value).toBe(true);
+      expect(history.undo()).toBe(false);
+
+      history.redo();
+      history.redo();
+      expect(snapshot(state)).toEqual({
+        title: "Final",
+        items: ["a", "b", "c"],
+      });
+      expect(history.canRedo.value).toBe(false);
+    });
+
+    test("should record each write as a step without batching", () => {
+      const count = ref(0);
+      const history = useHistory(count, { batch: false });
+
+      count.value = 1;
+      count.value = 2;
+      history.undo();
+      expect(count.value).toBe(1);
+      history.undo();
+      expect(count.value).toBe(0);
+    });
+
+    test("should group steps with commit() and group()", () => {
+      const state = reactive({ x: 0, y: 0 });
+      const history = useHistory(state);
+
+      state.x = 1;
+      history.commit();
+      history.group(() => {
+        state.x = 2;
+        state.y = 2;
+      });
+
+      history.undo();
+      expect(snapshot(state)).toEqual({ x: 1, y: 0 });
+      history.undo();
+      expect(snapshot(state)).toEqual({ x: 0, y: 0 });
+    });
+
+    test("should drop redo steps on new changes", () => {
+      const state = reactive({ x: 0 });
+      const history = useHistory(state, { batch: false });
+
+      state.x = 1;
+      history.undo();
+      state.x = 2;
+
+      expect(history.canRedo.value).toBe(false);
+      expect(history.redo()).toBe(false);
+      expect(state.x).toBe(2);
+    });
+
+    test("should respect capacity and filter", () => {
+      const state = reactive({ x: 0, hover: false });
+      const history = useHistory(state, {
+        batch: false,
+        capacity: 2,
+        filter: (patch) => patch.path !== "/hover",
+      });
+
+      state.x = 1;
+      state.x = 2;
+      state.hover = true;
+      state.x = 3;
+
+      expect(history.undo()).toBe(true);
+      expect(history.undo()).toBe(true);
+      expect(history.undo()).toBe(false);
+      expect(snapshot(state)).toEqual({ x: 1, hover: true });
+    });
+
+    test("should clear and stop recording", () => {
+      const state = reactive({ x: 0 });
+      const scope = effectScope();
+      const history = scope.run(() => useHistory(state, { batch: false }));
+
+      state.x = 1;
+      history.clear();
+      expect(history.canUndo.value).toBe(false);
+
+      scope.stop();
+      state.x = 2;
+      expect(history.canUndo.value).toBe(false);
+    });
+
+    test("should undo changes inside a ref's value", () => {
+      const doc = ref({ blocks: [{ text: "a" }] });
+      const history = useHistory(doc, { batch: false });
+
+      doc.value.blocks[0].text = "b";
+      doc.value = { blocks: [] };
+
+      history.undo();
+      expect(doc.value.blocks).toEqual([{ text: "b" }]);
+      history.undo();
+      expect(doc.value.blocks[0].text).toBe("a");
+    });
+
+    test("should warn about changes inside collections", () => {
+      const warnSpy = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const state = reactive({ tags: new Map(), other: new Set() });
+      const history = useHistory(state, { batch: false });
+
+      state.tags.set("a", 1);
+      state.tags.set("b", 2);
+      expect(history.canUndo.value).toBe(false);
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+      expect(warnSpy).toHaveBeenCalledWith(ERRORS.UNPATCHED_COLLECTION);
+
+      // Replacing the collection is recorded
+      state.tags = new Map([...state.tags, ["c", 3]]);
+      history.undo();
+      expect([...state.tags.keys()]).toEqual(["a", "b"]);
+
+      // Collections outside the tree don't warn
+      reactive(new Set()).add(1);
+      expect(warnSpy).toHaveBeenCalledTimes(1);
+
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe("transaction()", () => {
+    test("should commit writes and run effects once", () => {
+      const state = reactive({ a: 1, b: 1 });
+      const spy = vi.fn(() => state.a + state.b);
+      effect(spy);
+
+      const result = transaction(() => {
+        state.a = 2;
+        state.b = 2;
+        expect(spy).toHaveBeenCalledTimes(1);
+        return "done";
+      });
 
-      expect(() => reactive(obj)).toThrow("Circular reference detected");
+      expect(result).toBe("done");
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(4);
     });
 
-    test("should respect readonly objects", () => {
-      const obj = reactive({ count: 0 });
-      const readonlyObj = readonly(obj);
+    test("should roll back every write when fn throws", () => {
+      const count = ref(0);
+      const state = reactive({
+        user: { name: "Ann" },
+        list: [1, 2],
+        map: new Map([["a", 1]]),
+        set: new Set([1]),
+      });
+      const before = snapshot(state);
+      const total = computed(() => count.value + state.list.length);
+      const seen = [];
+      effect(() => seen.push([state.user.name, total.value]));
 
-      const consoleSpy = vi.spyOn(console, "warn");
+      expect(() =>
+        transaction(() => {
+          count.value = 10;
+          state.user.name = "Bob";
+          state.user.age = 30;
+          state.list.push(3);
+          state.list.shift();
+          state.map.set("b", 2);
+          state.map.delete("a");
+          state.set.clear();
+          state.set.add(2);
+          expect(total.value).toBe(12);
+          throw new Error("failed");
+        })
+      ).toThrow("failed");
 
-      readonlyObj.count = 1;
-      expect(consoleSpy).toHaveBeenCalledWith("Cannot modify readonly object");
-      expect(readonlyObj.count).toBe(0);
+      expect(count.value).toBe(0);
+      expect(snapshot(state)).toEqual(before);
+      expect(total.value).toBe(2);
+      expect(seen).toEqual([
+        ["Ann", 2],
+        ["Ann", 2],
+      ]);
+    });
 
-      consoleSpy.mockRestore();
+    test("should roll back when the returned promise rejects", async () => {
+      const state = reactive({ status: "idle", items: [], saved: 0 });
+      const spy = vi.fn(() => state.status);
+      effect(spy);
+
+      const pending = transaction(async () => {
+        state.status = "saving";
+        state.items.push("a");
+        await Promise.resolve();
+        state.saved++;
+        state.status = "retrying";
+        throw new Error("offline");
+      });
+
+      await expect(pending).rejects.toThrow("offline");
+      expect(snapshot(state)).toEqual({ status: "idle", items: [], saved: 0 });
+      expect(spy.mock.results.map(({ value }) => value)).toEqual([
+        "idle",
+        "idle",
+      ]);
     });
-  });
 
-  describe("ref()", () => {
-    test("should create a reactive reference", () => {
-      const count = ref(0);
-      let dummy;
+    test("should hold effects until an async transaction commits", async () => {
+      const state = reactive({ a: 0, b: 0 });
+      const seen = [];
+      effect(() => seen.push([state.a, state.b]));
+      const watched = vi.fn();
+      watch(() => state.a, watched);
 
-      effect(() => {
-        dummy = count.value;
+      const pending = transaction(async () => {
+        state.a = 1;
+        await nextTick();
+        expect(seen).toEqual([[0, 0]]);
+        expect(watched).not.toHaveBeenCalled();
+        state.b = 1;
+        return "saved";
       });
 
-      expect(dummy).toBe(0);
-      count.value++;
-      expect(dummy).toBe(1);
+      await expect(pending).resolves.toBe("saved");
+      expect(seen).toEqual([
+        [0, 0],
+        [1, 1],
+      ]);
+      await nextTick();
+      expect(watched).toHaveBeenCalledTimes(1);
     });
 
-    test("should handle nested refs", () => {
-      const count = ref(ref(0));
-      let dummy;
+    test("should record writes made by other code while pending", async () => {
+      const form = reactive({ typed: "", status: "idle" });
+      let fail;
+      const pending = transaction(async () => {
+        form.status = "saving";
+        await new Promise((resolve, reject) => {
+          fail = reject;
+        });
+      });
 
-      effect(() => {
-        dummy = count.value.value;
+      form.typed = "hello";
+      fail(new Error("offline"));
+
+      await expect(pending).rejects.toThrow("offline");
+      expect(snapshot(form)).toEqual({ typed: "", status: "idle" });
+    });
+
+    test("should leave values changed without the transaction", async () => {
+      const state = reactive({ count: 0, list: [1] });
+      const pending = transaction(async () => {
+        state.count = 1;
+        state.list.push(2);
+        await Promise.resolve();
+        toRaw(state).count = 5;
+        throw new Error("failed");
       });
 
-      expect(dummy).toBe(0);
-      count.value.value++;
-      expect(dummy).toBe(1);
+      await expect(pending).rejects.toThrow("failed");
+      expect(state.count).toBe(5);
+      expect(state.list).toEqual([1]);
+    });
+
+    test("should settle overlapping async transactions separately", async () => {
+      const state = reactive({ a: 0, b: 0, c: 0 });
+      const spy = vi.fn(() => state.a + state.b + state.c);
+      effect(spy);
+      const deferred = () => {
+        let resolve, reject;
+        const promise = new Promise((res, rej) => {
+          resolve = res;
+          reject = rej;
+        });
+        return { promise, resolve, reject };
+      };
+      const first = deferred();
+      const second = deferred();
+
+      const tx1 = transaction(async () => {
+        state.a = 1;
+        await first.promise;
+        state.c = 1;
+      });
+      const tx2 = transaction(async () => {
+        state.b = 1;
+        await second.promise;
+        state.c = 2;
+      });
+
+      first.resolve();
+      await tx1;
+      // The effect waits for both transactions
+      expect(spy).toHaveBeenCalledTimes(1);
+      second.reject(new Error("second"));
+      await expect(tx2).rejects.toThrow("second");
+
+      // tx1 wrote c while tx2 was pending, so tx2 reverts it as well
+      expect(snapshot(state)).toEqual({ a: 1, b: 0, c: 0 });
+      expect(spy).toHaveBeenCalledTimes(2);
+      expect(spy).toHaveLastReturnedWith(1);
+
+      // No transaction is left recording writes
+      const later = reactive({ value: 0 });
+      expect(() =>
+        transaction(() => {
+          later.value = 1;
+          throw new Error("sync");
+        })
+      ).toThrow("sync");
+      later.value = 2;
+      const third = transaction(async () => {
+        await Promise.resolve();
+        throw new Error("third");
+      });
+      await expect(third).rejects.toThrow("third");
+      expect(later.value).toBe(2);
+    });
+
+    test("should leave values another transaction reverted", async () => {
+      const state = reactive({ x: 0 });
+      let failFirst, failSecond;
+      const tx1 = transaction(async () => {
+        state.x = 1;
+        await new Promise((resolve, reject) => {
+          failFirst = reject;
+        });
+      });
+      const tx2 = transaction(async () => {
+        state.x = 2;
+        await new Promise((resolve, reject) => {
+          failSecond = reject;
+        });
+      });
+
+      failFirst(new Error("first"));
+      await expect(tx1).rejects.toThrow("first");
+      expect(state.x).toBe(0);
+      failSecond(new Error("second"));
+      await expect(tx2).rejects.toThrow("second");
+      expect(state.x).toBe(0);
+    });
+
+    test("should resolve with the value of an async function", async () => {
+      const state = reactive({ count: 0 });
+
+      await expect(
+        transaction(async () => {
+          state.count = 1;
+          return state.count;
+        })
+      ).resolves.toBe(1);
+      expect(state.count).toBe(1);
+    });
+
+    test("should commit nested transactions into the outer one", () => {
+      const state = reactive({ a: 0, b: 0 });
+
+      expect(() =>
+        transaction(() => {
+          state.a = 1;
+          try {
+            transaction(() => {
+              state.b = 1;
+              throw new Error("inner");
+            });
+          } catch {
+            // The inner writes are reverted, the outer ones kept
+          }
+          expect(snapshot(state)).toEqual({ a: 1, b: 0 });
+          transaction(() => {
+            state.b = 2;
+          });
+          throw new Error("outer");
+        })
+      ).toThrow("outer");
+
+      expect(snapshot(state)).toEqual({ a: 0, b: 0 });
     });
   });
 
-  describe("computed()", () => {
-    test("should compute values reactively", () => {
-      const count = ref(0);
-      const double = computed(() => count.value * 2);
+  describe("defineStore()", () => {
+    const counterOptions = {
+      state: () => ({ count: 0, user: { name: "Ann", tags: ["a"] } }),
+      getters: {
+        double: (state) => state.count * 2,
+        quadruple() {
+          return this.double * 2;
+        },
+      },
+      actions: {
+        increment(by = 1) {
+          this.count += by;
+          return this.count;
+        },
+        async load(name) {
+          await Promise.resolve();
+          if (!name) throw new Error("no name");
+          this.user.name = name;
+        },
+      },
+    };
 
-      expect(double.value).toBe(0);
-      count.value++;
-      expect(double.value).toBe(2);
+    test("should expose state, cached getters and bound actions", () => {
+      const store = defineStore("counter-basics", counterOptions);
+      const getter = vi.fn((state) => state.count + 1);
+      const other = defineStore("counter-getter", {
+        state: () => ({ count: 1 }),
+        getters: { next: getter },
+      });
+
+      const spy = vi.fn(() => store.quadruple);
+      effect(spy);
+      const { increment } = store;
+      expect(increment(2)).toBe(2);
+
+      expect(store.count).toBe(2);
+      expect(store.$state.count).toBe(2);
+      expect(store.double).toBe(4);
+      expect(spy).toHaveLastReturnedWith(8);
+
+      store.count = 5;
+      expect(store.$state.count).toBe(5);
+      expect(other.next + other.next).toBe(4);
+      expect(getter).toHaveBeenCalledTimes(1);
+      expect(store.$id).toBe("counter-basics");
+      expect(() => defineStore("counter-basics", counterOptions)).toThrow(
+        ERRORS.DUPLICATE_STORE
+      );
     });
 
-    test("should cache computed values", () => {
-      const count = ref(0);
-      let calls = 0;
+    test("should patch, reset and notify subscribers", async () => {
+      const store = defineStore("counter-patch", counterOptions);
+      const mutations = [];
+      store.$subscribe((mutation, state) => {
+        mutations.push([mutation.type, mutation.events.length, state.count]);
+      });
 
-      const double = computed(() => {
-        calls++;
-        return count.value * 2;
+      store.$patch({ count: 3, user: { name: "Bob" } });
+      expect(store.user.tags).toEqual(["a"]);
+      store.$patch((state) => {
+        state.count++;
+        state.user.tags.push("b");
       });
+      store.increment();
+      await nextTick();
+      store.user.tags.push("c", "d");
+      store.increment();
+      store.$reset();
 
-      expect(calls).toBe(0);
-      expect(double.value).toBe(0);
-      expect(calls).toBe(1);
-      expect(double.value).toBe(0);
-      expect(calls).toBe(1);
+      expect(snapshot(store.$state)).toEqual(counterOptions.state());
+      expect(mutations).toEqual([
+        ["patch object", 2, 3],
+        ["patch function", 2, 4],
+        ["direct", 1, 5],
+        ["direct", 3, 6],
+        ["patch function", 5, 0],
+      ]);
     });
-  });
 
-  describe("watch()", () => {
-    test("should watch reactive sources", () => {
-      const count = ref(0);
-      let dummy;
+    test("should batch direct writes and stop observing without subscribers", async () => {
+      const store = defineStore("counter-direct", counterOptions);
+      const callback = vi.fn();
 
-      watch(count, (newVal, oldVal) => {
-        dummy = [newVal, oldVal];
+      store.user.tags.push("b");
+      const stopListening = store.$subscribe(callback);
+      store.user.tags.push("c", "d", "e");
+      store.count++;
+      await nextTick();
+
+      expect(callback).toHaveBeenCalledTimes(1);
+      expect(callback.mock.calls[0][0]).toMatchObject({
+        type: "direct",
+        storeId: "counter-direct",
+        events: [
+          { op: "add", path: "/user/tags/2", value: "c" },
+          { op: "add", path: "/user/tags/3", value: "d" },
+          { op: "add", path: "/user/tags/4", value: "e" },
+          { op: "replace", path: "/count", value: 1 },
+        ],
       });
 
-      count.value++;
-      expect(dummy).toEqual([1, 0]);
+      stopListening();
+      store.count++;
+      store.$patch({ count: 10 });
+      await nextTick();
+      expect(callback).toHaveBeenCalledTimes(1);
     });
 
-    test("should watch getter functions", () => {
-      const count = ref(0);
-      let dummy;
+    test("should report subscriber errors the same way for every mutation", async () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      try {
+        const store = defineStore("counter-errors", counterOptions);
+        const error = new Error("subscriber");
+        const after = vi.fn();
+        store.$subscribe(() => {
+          throw error;
+        });
+        store.$subscribe(after);
 
-      watch(
-        () => count.value,
-        (newVal, oldVal) => {
-          dummy = [newVal, oldVal];
+        expect(() => store.$patch({ count: 1 })).not.toThrow();
+        expect(store.count).toBe(1);
+        store.count++;
+        await nextTick();
+
+        expect(after).toHaveBeenCalledTimes(2);
+        expect(handler).toHaveBeenCalledTimes(2);
+        handler.mock.calls.forEach(([reported, source]) => {
+          expect(reported).toBe(error);
+          expect(source).toBe(ERROR_SOURCES.STORE_SUBSCRIBER);
+        });
+        store.$dispose();
+      } finally {
+        setErrorHandler(null);
+      }
+    });
+
+    test("should call action hooks with results and errors", async () => {
+      const store = defineStore("counter-actions", counterOptions);
+      const calls = [];
+      const stopListening = store.$onAction(
+        ({ name, args, after, onError }) => {
+          calls.push(["before", name, args]);
+          after((result) => calls.push(["after", name, result]));
+          onError((error) => calls.push(["error", name, error.message]));
         }
       );
 
+      store.increment(2);
+      await store.load("Bob");
+      await expect(store.load()).rejects.toThrow("no name");
+      stopListening();
+      store.increment();
+
+      expect(calls).toEqual([
+        ["before", "increment", [2]],
+        ["after", "increment", 2],
+        ["before", "load", ["Bob"]],
+        ["after", "load", undefined],
+        ["before", "load", []],
+        ["error", "load", "no name"],
+      ]);
+      expect(store.user.name).toBe("Bob");
+    });
+
+    test("should extend stores with plugins", async () => {
+      const removePlugin = addStorePlugin(({ store, id }) => {
+        const changes = ref(0);
+        store.$subscribe(() => changes.value++);
+        return { changes, label: `store:${id}` };
+      });
+      const store = defineStore("counter-plugin", counterOptions);
+      removePlugin();
+      const plain = defineStore("counter-no-plugin", counterOptions);
+
+      store.increment();
+      await nextTick();
+      store.increment();
+      await nextTick();
+
+      expect(store.changes).toBe(2);
+      expect(store.label).toBe("store:counter-plugin");
+      expect("label" in plain).toBe(false);
+
+      store.$dispose();
+      store.count = 10;
+      await nextTick();
+      expect(store.changes).toBe(2);
+      expect(defineStore("counter-plugin", counterOptions).count).toBe(0);
+    });
+  });
+
+  describe("persist()", () => {
+    const stored = (storage, key) => JSON.parse(storage.getItem(key));
+
+    test("should load the stored value and save changes", async () => {
+      const storage = createMemoryStorage({
+        settings: serialize({ version: 0, state: { theme: "dark" } }),
+      });
+      const settings = reactive({ theme: "light", since: new Date(0) });
+
+      persist(settings, { key: "settings", storage });
+      expect(settings.theme).toBe("dark");
+      // Properties the stored data doesn't have keep their defaults
+      expect(settings.since).toEqual(new Date(0));
+
+      settings.theme = "blue";
+      settings.size = 14;
+      expect(stored(storage, "settings").state.theme).toBe("dark");
+      await nextTick();
+
+      expect(stored(storage, "settings")).toEqual({
+        version: 0,
+        state: {
+          theme: "blue",
+          since: { $type: "Date", value: "1970-01-01T00:00:00.000Z" },
+          size: 14,
+        },
+      });
+    });
+
+    test("should persist refs and only the picked properties", async () => {
+      const storage = createMemoryStorage({
+        form: JSON.stringify({ version: 0, state: { draft: "hi", step: 3 } }),
+      });
+      const form = ref({ draft: "", step: 1, focused: true });
+
+      persist(form, { key: "form", storage, pick: ["draft"] });
+      expect(form.value).toEqual({ draft: "hi", step: 1, focused: true });
+
+      form.value.focused = false;
+      await nextTick();
+      expect(storage.getItem("form")).toContain('"step":3');
+
+      form.value.draft = "hello";
+      await nextTick();
+      expect(stored(storage, "form").state).toEqual({ draft: "hello" });
+    });
+
+    test("should debounce saves and flush on demand", async () => {
+      vi.useFakeTimers();
+      try {
+        const storage = createMemoryStorage();
+        const state = reactive({ text: "" });
+        const handle = persist(state, { key: "doc", storage, debounce: 100 });
+
+        state.text = "a";
+        await nextTick();
+        vi.advanceTimersByTime(50);
+        state.text = "ab";
+        await nextTick();
+        vi.advanceTimersByTime(50);
+        expect(storage.getItem("doc")).toBe(null);
+
+        vi.advanceTimersByTime(50);
+        expect(stored(storage, "doc").state.text).toBe("ab");
+
+        state.text = "abc";
+        await nextTick();
+        await handle.flush();
+        expect(stored(storage, "doc").state.text).toBe("abc");
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    test("should migrate data stored by older versions", () => {
+      const storage = createMemoryStorage({
+        user: JSON.stringify({ version: 1, state: { fullName: "Ann Lee" } }),
+      });
+      const user = reactive({ first: "", last: "" });
+      const migrate = vi.fn((data) => {
+        const [first, last] = data.fullName.split(" ");
+        return { first, last };
+      });
+
+      persist(user, { key: "user", storage, version: 2, migrate });
+
+      expect(migrate).toHaveBeenCalledWith({ fullName: "Ann Lee" }, 1);
+      expect(snapshot(user)).toEqual({ first: "Ann", last: "Lee" });
+    });
+
+    test("should wait for async storages", async () => {
+      const memory = createMemoryStorage({
+        count: serialize({ version: 0, state: 5 }),
+      });
+      const storage = {
+        getItem: async (key) => memory.getItem(key),
+        setItem: async (key, value) => memory.setItem(key, value),
+        removeItem: async (key) => memory.removeItem(key),
+      };
+      const count = ref(0);
+
+      const handle = persist(count, { key: "count", storage });
+      expect(count.value).toBe(0);
+      await handle.ready;
+      expect(count.value).toBe(5);
+
       count.value++;
-      expect(dummy).toEqual([1, 0]);
+      await nextTick();
+      await Promise.resolve();
+      expect(stored(memory, "count").state).toBe(6);
+
+      await handle.clear();
+      expect(memory.getItem("count")).toBe(null);
+    });
+
+    test("should report errors and keep saving", async () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      try {
+        const storage = createMemoryStorage({ broken: "{" });
+        const setItem = storage.setItem;
+        storage.setItem = vi.fn(() => {
+          throw new Error("quota");
+        });
+        const state = reactive({ value: 1 });
+
+        persist(state, { key: "broken", storage });
+        expect(handler).toHaveBeenCalledWith(
+          expect.any(SyntaxError),
+          ERROR_SOURCES.PERSIST,
+          expect.anything()
+        );
+        expect(state.value).toBe(1);
+
+        state.value = 2;
+        await nextTick();
+        expect(handler).toHaveBeenLastCalledWith(
+          new Error("quota"),
+          ERROR_SOURCES.PERSIST,
+          expect.anything()
+        );
+
+        storage.setItem = setItem;
+        state.value = 3;
+        await nextTick();
+        expect(stored(storage, "broken").state.value).toBe(3);
+      } finally {
+        setErrorHandler(null);
+      }
+    });
+
+    test("should stop saving when stopped", async () => {
+      const storage = createMemoryStorage();
+      const state = reactive({ value: 1 });
+      const handle = persist(state, { key: "a", storage });
+
+      handle.stop();
+      state.value = 2;
+      await nextTick();
+      expect(storage.getItem("a")).toBe(null);
+
+      const scoped = reactive({ value: 1 });
+      const scope = effectScope();
+      scope.run(() => persist(scoped, { key: "c", storage }));
+      scope.stop();
+      scoped.value = 2;
+      await nextTick();
+      expect(storage.getItem("c")).toBe(null);
+    });
+
+    test("should use localStorage-like objects", async () => {
+      const items = {};
+      const stub = {
+        getItem: vi.fn((key) => items[key] ?? null),
+        setItem: vi.fn((key, value) => {
+          items[key] = value;
+        }),
+        removeItem: vi.fn((key) => {
+          delete items[key];
+        }),
+      };
+      vi.stubGlobal("localStorage", stub);
+      try {
+        const state = reactive({ count: 0 });
+        const handle = persist(state, { key: "count" });
+        expect(stub.getItem).toHaveBeenCalledWith("count");
+
+        state.count = 1;
+        await nextTick();
+        expect(JSON.parse(items.count).state).toEqual({ count: 1 });
+
+        await handle.clear();
+        expect(stub.removeItem).toHaveBeenCalledWith("count");
+
+        vi.stubGlobal("localStorage", undefined);
+        expect(() => createWebStorage()).toThrow(ERRORS.NO_STORAGE);
+        expect(() => persist(state, { key: "count" })).toThrow(
+          ERRORS.NO_STORAGE
+        );
+        expect(createWebStorage(stub).getItem("missing")).toBe(null);
+      } finally {
+        vi.unstubAllGlobals();
+      }
+    });
+
+    test("should store values atomically in a JSON file", async () => {
+      const dir = mkdtempSync(join(tmpdir(), "reactive-js-"));
+      try {
+        const path = join(dir, "state.json");
+        const storage = createFileStorage(path, fs);
+
+        expect(await storage.getItem("missing")).toBe(null);
+
+        await Promise.all(
+          Array.from({ length: 10 }, (_, i) => storage.setItem(`k${i}`, i))
+        );
+        expect(
+          Object.keys(JSON.parse(readFileSync(path, "utf8")))
+        ).toHaveLength(10);
+        expect(await storage.getItem("k3")).toBe("3");
+        expect(readdirSync(dir)).toEqual(["state.json"]);
+
+        await storage.removeItem("k3");
+        await storage.removeItem("unknown");
+        expect(await storage.getItem("k3")).toBe(null);
+
+        const state = reactive({ theme: "light" });
+        const handle = persist(state, { key: "settings", storage });
+        await handle.ready;
+        state.theme = "dark";
+        await nextTick();
+        await storage.getItem("settings");
+        const reloaded = reactive({ theme: "light" });
+        await persist(reloaded, { key: "settings", storage }).ready;
+        expect(reloaded.theme).toBe("dark");
+
+        // Errors other than a missing file are passed on
+        const broken = createFileStorage(dir, fs);
+        await expect(broken.getItem("k0")).rejects.toThrow();
+        expect(() => createFileStorage(path)).toThrow(ERRORS.NO_FILE_SYSTEM);
+      } finally {
+        rmSync(dir, { recursive: true, force: true });
+      }
     });
   });
 
-  describe("shallowReactive()", () => {
-    test("should only make top-level properties reactive", () => {
-      const obj = shallowReactive({ nested: { count: 0 } });
-      let dummy;
+  describe("computedAsync() and resource()", () => {
+    const flushPromises = () => new Promise((resolve) => setTimeout(resolve));
 
-      effect(() => {
-        dummy = obj.nested.count;
+    test("should resolve the value and track dependencies", async () => {
+      const id = ref(1);
+      const getter = vi.fn(async () => {
+        const current = id.value;
+        await Promise.resolve();
+        return `user ${current}`;
       });
+      const user = computedAsync(getter, { initial: "none" });
 
-      expect(dummy).toBe(0);
-      obj.nested.count++;
-      expect(dummy).toBe(0); // Should not trigger effect
+      expect(user.value.value).toBe("none");
+      expect(user.loading.value).toBe(true);
+      await flushPromises();
+      expect(user.value.value).toBe("user 1");
+      expect(user.loading.value).toBe(false);
+
+      id.value = 2;
+      id.value = 3;
+      await flushPromises();
+      expect(user.value.value).toBe("user 3");
+      expect(getter).toHaveBeenCalledTimes(2);
+    });
+
+    test("should abort stale runs and ignore their results", async () => {
+      const query = ref("a");
+      const signals = [];
+      const resolvers = {};
+      const results = computedAsync((signal) => {
+        const q = query.value;
+        signals.push(signal);
+        return new Promise((resolve) => {
+          resolvers[q] = resolve;
+        });
+      });
+
+      query.value = "b";
+      await nextTick();
+      expect(signals[0].aborted).toBe(true);
+      expect(signals[1].aborted).toBe(false);
+
+      resolvers.b("B");
+      resolvers.a("A");
+      await flushPromises();
+      expect(results.value.value).toBe("B");
+    });
+
+    test("should expose errors and recover on refetch", async () => {
+      let fail = true;
+      const data = computedAsync(async () => {
+        if (fail) throw new Error("network");
+        return 42;
+      });
+
+      await flushPromises();
+      expect(data.error.value.message).toBe("network");
+      expect(data.loading.value).toBe(false);
+
+      fail = false;
+      await data.refetch();
+      expect(data.error.value).toBe(null);
+      expect(data.value.value).toBe(42);
+    });
+
+    test("should wait for the first read when lazy", async () => {
+      const getter = vi.fn(async () => "loaded");
+      const data = computedAsync(getter, { lazy: true });
+
+      await flushPromises();
+      expect(getter).not.toHaveBeenCalled();
+      expect(data.value.value).toBe(undefined);
+      await flushPromises();
+      expect(getter).toHaveBeenCalledTimes(1);
+      expect(data.value.value).toBe("loaded");
+    });
+
+    test("should debounce re-runs", async () => {
+      vi.useFakeTimers();
+      try {
+        const text = ref("");
+        const getter = vi.fn(async () => text.value.toUpperCase());
+        const upper = computedAsync(getter, { debounce: 100 });
+
+        text.value = "a";
+        vi.advanceTimersByTime(50);
+        text.value = "ab";
+        vi.advanceTimersByTime(50);
+        expect(getter).toHaveBeenCalledTimes(1);
+
+        vi.advanceTimersByTime(50);
+        expect(getter).toHaveBeenCalledTimes(2);
+        await vi.runAllTimersAsync();
+        expect(upper.value.value).toBe("AB");
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    test("should fetch a resource for its source", async () => {
+      const userId = ref(null);
+      const fetcher = vi.fn(async (id, { signal }) => {
+        expect(signal).toBeInstanceOf(AbortSignal);
+        return { id, name: `User ${id}` };
+      });
+      const user = resource(userId, fetcher, { initial: null });
+
+      await flushPromises();
+      expect(fetcher).not.toHaveBeenCalled();
+      expect(user.value.value).toBe(null);
+
+      userId.value = 7;
+      await flushPromises();
+      expect(fetcher).toHaveBeenCalledWith(7, expect.any(Object));
+      expect(user.value.value.name).toBe("User 7");
+
+      user.mutate((current) => ({ ...current, name: "Renamed" }));
+      expect(user.value.value.name).toBe("Renamed");
+      expect(fetcher).toHaveBeenCalledTimes(1);
+
+      user.stop();
+      userId.value = 8;
+      await flushPromises();
+      expect(fetcher).toHaveBeenCalledTimes(1);
     });
   });
 
@@ -219,19 +3760,176 @@ describe("Reactive System", () => {
 
   describe("Error Handling", () => {
     test("should handle maximum recursion depth", () => {
+      const consoleSpy = vi
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
       const createDeepObject = (depth) => {
         if (depth === 0) return { value: 0 };
         return { nested: createDeepObject(depth - 1) };
       };
 
-      const deepObj = createDeepObject(MAX_RECURSION_DEPTH);
+      // Nested objects are proxied lazily, so deep objects are fine...
+      const deepObj = reactive(createDeepObject(MAX_RECURSION_DEPTH));
+      let node = deepObj;
+      while (node.nested) node = node.nested;
+      expect(node.value).toBe(0);
 
-      expect(() => reactive(deepObj)).toThrow(
+      // ...and only deep traversal, which recurses, is guarded
+      expect(() => watch(deepObj, () => {})).toThrow(
         "Maximum recursion depth exceeded"
       );
 
-      //cleanup
-      vi.clearAllMocks();
+      consoleSpy.mockRestore();
+    });
+
+    test("should keep running sibling effects when one throws", () => {
+      const consoleSpy = vi
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      const state = reactive({ count: 0 });
+      const before = vi.fn(() => state.count);
+      const after = vi.fn(() => state.count);
+
+      effect(before);
+      effect(() => {
+        if (state.count > 0) throw new Error("boom");
+      });
+      effect(after);
+
+      expect(() => state.count++).not.toThrow();
+      expect(before).toHaveBeenCalledTimes(2);
+      expect(after).toHaveBeenCalledTimes(2);
+      expect(consoleSpy).toHaveBeenCalledTimes(1);
+
+      consoleSpy.mockRestore();
+    });
+
+    test("should report errors to the global error handler with context", () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      try {
+        const state = reactive({ count: 0 });
+        const error = new Error("boom");
+        const runner = effect(() => {
+          if (state.count > 0) throw error;
+        });
+
+        state.count = 1;
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith(error, ERROR_SOURCES.EFFECT, {
+          effect: runner,
+          target: toRaw(state),
+          type: "set",
+          key: "count",
+        });
+      } finally {
+        setErrorHandler(null);
+      }
+    });
+
+    test("should report an error each time it is thrown again", () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      try {
+        const flag = ref(false);
+        const error = new Error("boom");
+        const runner = effect(() => {
+          if (flag.value) throw error;
+        });
+
+        flag.value = true;
+        // Caught by user code after being reported
+        expect(() => runner()).toThrow(error);
+        flag.value = false;
+        flag.value = true;
+
+        expect(handler).toHaveBeenCalledTimes(3);
+      } finally {
+        setErrorHandler(null);
+      }
+    });
+
+    test("should report an error bubbling through a computed once", () => {
+      const handler = vi.fn();
+      setErrorHandler(handler);
+      try {
+        const count = ref(0);
+        const checked = computed(() => {
+          if (count.value > 0) throw new Error("boom");
+          return count.value;
+        });
+        const runner = effect(() => checked.value);
+
+        count.value = 1;
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler.mock.calls[0][1]).toBe(ERROR_SOURCES.COMPUTED);
+        expect(handler.mock.calls[0][2]).toMatchObject({
+          effect: checked.effect,
+          target: count,
+          key: "value",
+        });
+        expect(runner.dirtyLevel).not.toBe(0);
+      } finally {
+        setErrorHandler(null);
+      }
+    });
+
+    test("should prefer the onError option of an effect", async () => {
+      const handler = vi.fn();
+      const onError = vi.fn();
+      const onWatchError = vi.fn();
+      setErrorHandler(handler);
+      try {
+        const count = ref(0);
+        const runner = effect(
+          () => {
+            if (count.value > 0) throw new Error("effect");
+          },
+          { onError }
+        );
+        watch(
+          count,
+          () => {
+            throw new Error("watch");
+          },
+          { onError: onWatchError }
+        );
+
+        count.value++;
+        await nextTick();
+
+        expect(onError).toHaveBeenCalledWith(
+          expect.objectContaining({ message: "effect" }),
+          ERROR_SOURCES.EFFECT,
+          expect.objectContaining({ effect: runner, key: "value" })
+        );
+        expect(onWatchError).toHaveBeenCalledWith(
+          expect.objectContaining({ message: "watch" }),
+          ERROR_SOURCES.WATCH_CALLBACK,
+          expect.any(Object)
+        );
+        expect(handler).not.toHaveBeenCalled();
+      } finally {
+        setErrorHandler(null);
+      }
+    });
+
+    test("should still throw errors to direct callers", () => {
+      const consoleSpy = vi
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+
+      expect(() =>
+        effect(() => {
+          throw new Error("boom");
+        })
+      ).toThrow("boom");
+      expect(() => reactive(1)).toThrow(ERRORS.INVALID_TYPE);
+      expect(consoleSpy).toHaveBeenCalledTimes(1);
+
+      consoleSpy.mockRestore();
     });
 
     test("should handle effect stack size limits", () => {
@@ -37,395 +37,4220 @@ export const ERRORS = {
   MAX_RECURSION: "Maximum recursion depth exceeded",
   MAX_STACK: "Maximum effect stack size exceeded",
   INVALID_TYPE: "Invalid type for reactive conversion",
-  CIRCULAR_REF: "Circular reference detected",
   READONLY: "Cannot modify readonly object",
   STACK_WARNING: "Effect stack size approaching limit",
+  INVALID_WATCH_SOURCE:
+    "Invalid watch source: expected a ref, a reactive object, a function or an array of these",
+  COMPUTED_READONLY: "Cannot set a computed value without a setter",
+  INACTIVE_SCOPE: "Cannot run an inactive effect scope",
+  NO_ACTIVE_SCOPE: "onScopeDispose() called without an active effect scope",
+  INVALID_GRAPH_FORMAT: 'Invalid graph format: expected "json" or "dot"',
+  INVALID_PATCH: "Invalid patch: unknown operation or unresolvable path",
+  PATCH_TEST_FAILED: "Patch test operation failed",
+  UNPATCHED_COLLECTION:
+    "A Map or Set watched by onPatch() changed: collection changes aren't reported as patches, so useHistory() can't undo them",
+  DUPLICATE_STORE: "A store with this id is already defined",
+  NO_STORAGE: "persist() needs a storage: no localStorage is available",
+  NO_FILE_SYSTEM: "createFileStorage() needs the node:fs/promises module",
 };
 
-// Global state for tracking effects and dependencies
-const effectStack = []; // Stack to track currently running effects
-const targetMap = new WeakMap(); // Maps objects to their dependency maps
-const reactiveCache = new WeakMap(); // Cache for reactive proxies to prevent duplicate proxies
+// Where an error was raised, as reported by the error handling
+export const ERROR_SOURCES = {
+  EFFECT: "reactive effect",
+  COMPUTED: "computed getter",
+  SCHEDULER: "scheduled job",
+  WATCH_GETTER: "watcher getter",
+  WATCH_CALLBACK: "watcher callback",
+  WATCH_CLEANUP: "watcher cleanup",
+  PATCH_LISTENER: "patch listener",
+  STORE_SUBSCRIBER: "store subscriber",
+  PERSIST: "persisted state",
+};
+
+// Symbols shared by every runtime
 const RAW = Symbol("raw"); // Symbol to store the original object in proxies
-const CIRCULAR_CHECK = Symbol("circular_check"); // Symbol for circular reference detection
+const IS_REACTIVE = Symbol("is_reactive"); // Flag read through proxies by isReactive()
+const IS_READONLY = Symbol("is_readonly"); // Flag read through proxies by isReadonly()
+const IS_SHALLOW = Symbol("is_shallow"); // Flag read through proxies by isShallow()
+const IS_REF = Symbol("is_ref"); // Brand set on refs and computed properties
+const SKIP = Symbol("skip"); // Set by markRaw() on objects that must never be proxied
+const SKIP_FETCH = Symbol("skip_fetch"); // Returned by resource() getters to keep the current value
+const ITERATE_KEY = Symbol("iterate"); // Dep key for enumerating keys or iterating a collection
+const MAP_KEY_ITERATE_KEY = Symbol("map_key_iterate"); // Dep key for iterating over Map keys only
+const resolvedPromise = Promise.resolve();
+
+// Kinds of changes passed to trigger()
+const TRIGGER_TYPES = {
+  SET: "set",
+  ADD: "add",
+  DELETE: "delete",
+  CLEAR: "clear",
+};
+
+// How createProxy() handles a target, see getTargetType()
+const TARGET_TYPES = {
+  INVALID: 0, // Returned as is
+  COMMON: 1, // Plain objects and arrays, proxied with the object handlers
+  COLLECTION: 2, // Maps and Sets, proxied with the collection handlers
+};
+
+// Kinds of reads passed to track(), reported to onTrack hooks
+const TRACK_TYPES = {
+  GET: "get",
+  HAS: "has",
+  ITERATE: "iterate",
+};
+
+// Dirty levels of effects and computed properties
+const CLEAN = 0; // Up to date
+const CHECK = 1; // A computed dependency may have changed, verify before running
+const DIRTY = 2; // A dependency changed, must re-run
+
+/**
+ * The set of effects subscribed to a single reactive property
+ *
+ * The version is bumped on every change, so an effect can tell whether a
+ * dependency changed since it last read it. Deps owned by a computed
+ * property keep a reference to it so they can be refreshed on demand.
+ * The target and key are kept for debugger hooks and introspection.
+ */
+class Dep extends Set {
+  constructor(target, key, computed) {
+    super();
+    this.version = 0;
+    this.target = target;
+    this.key = key;
+    this.computed = computed;
+  }
+}
+
+const NOT_A_FLAG = Symbol("not_a_flag"); // Returned by getProxyFlag() for regular keys
 
 /**
- * Validates if an object can be made reactive (simplified version)
+ * Answers the flag symbols read through a proxy
+ * @param {Object} target - The proxy target
+ * @param {string|symbol} key - The property being read
+ * @param {boolean} readonly - Whether the proxy is readonly
+ * @param {boolean} shallow - Whether the proxy is shallow
+ * @returns {any} - The flag value, or NOT_A_FLAG for regular keys
+ */
+function getProxyFlag(target, key, readonly, shallow) {
+  switch (key) {
+    case RAW:
+      return target;
+    case IS_REACTIVE:
+      return !readonly;
+    case IS_READONLY:
+      return readonly;
+    case IS_SHALLOW:
+      return shallow;
+    default:
+      return NOT_A_FLAG;
+  }
+}
+
+/**
+ * Validates if an object can be made reactive
  * @param {any} obj - The object to validate
  * @throws {Error} If the object is invalid for reactivity
+ *
+ * Only the target itself is checked. Nested objects are proxied lazily
+ * when they are read, so cyclic graphs work through the proxy caches.
  */
 function validateReactiveTarget(obj) {
   if (obj === null || typeof obj !== "object") {
     throw new Error(ERRORS.INVALID_TYPE);
   }
-
-  // Check for circular references (always check for safety)
-  checkCircularReferences(obj);
 }
 
 /**
- * Checks for circular references in development mode
- * @param {Object} obj - The object to check
- * @param {number} depth - Current recursion depth
+ * Checks whether a value is a plain object literal (or has a null prototype)
+ * @param {any} value - The value to check
+ * @returns {boolean} - True for plain objects
  */
-function checkCircularReferences(obj, depth = 0) {
-  if (depth >= MAX_RECURSION_DEPTH) {
-    throw new Error(ERRORS.MAX_RECURSION);
-  }
-
-  if (obj[CIRCULAR_CHECK]) {
-    throw new Error(ERRORS.CIRCULAR_REF);
-  }
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
 
-  obj[CIRCULAR_CHECK] = true;
+/**
+ * Checks whether a value has changed, treating NaN as equal to itself
+ * @param {any} value - The new value
+ * @param {any} oldValue - The previous value
+ * @returns {boolean} - True if the values differ
+ */
+function hasChanged(value, oldValue) {
+  return !Object.is(value, oldValue);
+}
 
-  try {
-    if (Array.isArray(obj)) {
-      obj.forEach((item) => {
-        if (item && typeof item === "object") {
-          checkCircularReferences(item, depth + 1);
-        }
-      });
-    } else {
-      Object.values(obj).forEach((value) => {
-        if (value && typeof value === "object") {
-          checkCircularReferences(value, depth + 1);
-        }
-      });
-    }
-  } finally {
-    delete obj[CIRCULAR_CHECK];
-  }
+/**
+ * Checks if a property key is a canonical array index
+ * @param {string|symbol} key - The property key
+ * @returns {boolean} - True for keys like "0" or "42"
+ */
+function isIntegerKey(key) {
+  return (
+    typeof key === "string" &&
+    key !== "NaN" &&
+    key[0] !== "-" &&
+    String(parseInt(key, 10)) === key
+  );
 }
 
 /**
- * Creates and runs a reactive effect
- * @param {Function} fn - The function to run reactively
- * @throws {Error} If the effect stack size is exceeded
+ * Classifies an object for createProxy()
+ * @param {Object} obj - The object to classify
+ * @returns {number} - One of TARGET_TYPES
  *
- * An effect is a function that automatically re-runs when its dependencies change.
- * Effects can be nested, and the stack ensures proper dependency tracking.
+ * Objects and arrays, including class instances, are common targets, and
+ * Maps and Sets are collections. Everything else is invalid: built-ins such
+ * as Date, RegExp, Promise or typed arrays rely on internal slots that
+ * don't work through a proxy, and objects marked with markRaw(), frozen or
+ * non-extensible objects are left alone on purpose.
  */
-export function effect(fn) {
-  if (effectStack.length >= MAX_EFFECT_STACK_SIZE) {
-    throw new Error(ERRORS.MAX_STACK);
+function getTargetType(obj) {
+  if (obj[SKIP] || !Object.isExtensible(obj)) {
+    return TARGET_TYPES.INVALID;
   }
 
-  const wrappedEffect = () => {
-    try {
-      cleanup(wrappedEffect);
-      effectStack.push(wrappedEffect);
-
-      // Add warning for deep effect stacks
-      if (effectStack.length >= EFFECT_STACK_WARNING_THRESHOLD) {
-        console.warn(ERRORS.STACK_WARNING);
-      }
-
-      const result = fn();
-      return result;
-    } catch (error) {
-      console.error("Error in reactive effect:", error);
-      throw error;
-    } finally {
-      effectStack.pop();
-    }
-  };
+  switch (Object.prototype.toString.call(obj).slice(8, -1)) {
+    case "Object":
+    case "Array":
+      return TARGET_TYPES.COMMON;
+    case "Map":
+    case "Set":
+    case "WeakMap":
+    case "WeakSet":
+      return TARGET_TYPES.COLLECTION;
+    default:
+      return TARGET_TYPES.INVALID;
+  }
+}
 
-  wrappedEffect.deps = [];
-  wrappedEffect(); // Execute the effect immediately
-  return wrappedEffect; // Return the effect function for later use
+/**
+ * Checks that a value can be used as a watch source
+ * @param {any} source - The source to validate
+ * @throws {Error} If the source is not a ref, a reactive object or a function
+ */
+function validateWatchSource(source) {
+  if (!isRef(source) && !isReactive(source) && typeof source !== "function") {
+    throw new Error(ERRORS.INVALID_WATCH_SOURCE);
+  }
 }
 
 /**
- * Cleans up dependencies for an effect
- * @param {Function} effectFn - The effect function to clean up
+ * Marks an object so that it is never made reactive
+ * @param {Object} obj - The object to mark
+ * @returns {Object} - The same object
  *
- * Removes the effect from all its dependency sets and clears its deps array.
- * This prevents memory leaks and ensures clean dependency tracking.
+ * Useful for large or third-party objects, such as class instances from
+ * other libraries, that don't need to be tracked. Marked objects nested in
+ * reactive objects are returned as they are.
  */
-function cleanup(effectFn) {
-  if (effectFn.deps) {
-    for (const dep of effectFn.deps) {
-      dep.delete(effectFn);
-    }
-    effectFn.deps = [];
+export function markRaw(obj) {
+  if (Object.isExtensible(obj) && !Object.hasOwn(obj, SKIP)) {
+    Object.defineProperty(obj, SKIP, { value: true, configurable: true });
   }
+  return obj;
 }
 
 /**
- * Tracks property access for dependency collection
- * @param {Object} target - The reactive object
- * @param {string|symbol} key - The property being accessed
+ * Returns the raw, non-proxied object from a reactive proxy
+ * @param {Object} obj - The reactive proxy
+ * @returns {Object} - The original, non-reactive object
  *
- * Builds the dependency graph by linking effects to the properties they use.
- * This enables automatic re-running of effects when dependencies change.
+ * Useful when you need to access the original object without triggering reactivity.
+ * Nested proxies, such as readonly(reactive(obj)), are unwrapped all the way.
  */
-function track(target, key) {
-  const effectFn = effectStack[effectStack.length - 1];
-  if (!effectFn) return;
+export function toRaw(obj) {
+  const raw = obj && obj[RAW];
+  return raw ? toRaw(raw) : obj;
+}
 
-  let depsMap = targetMap.get(target);
-  if (!depsMap) {
-    depsMap = new Map();
-    targetMap.set(target, depsMap);
+/**
+ * Checks if an object is a reactive proxy
+ * @param {Object} obj - The object to check
+ * @returns {boolean} - True if the object is reactive
+ *
+ * Readonly proxies are only reactive when they wrap a reactive proxy.
+ */
+export function isReactive(obj) {
+  if (isReadonly(obj)) {
+    return isReactive(obj[RAW]);
   }
+  return !!(obj && obj[IS_REACTIVE]);
+}
 
-  let deps = depsMap.get(key);
-  if (!deps) {
-    deps = new Set();
-    depsMap.set(key, deps);
-  }
+/**
+ * Checks if an object is a readonly proxy
+ * @param {Object} obj - The object to check
+ * @returns {boolean} - True if the object is readonly
+ */
+export function isReadonly(obj) {
+  return !!(obj && obj[IS_READONLY]);
+}
 
-  if (!deps.has(effectFn)) {
-    deps.add(effectFn);
-    effectFn.deps.push(deps);
-  }
+/**
+ * Checks if an object is a shallow proxy
+ * @param {Object} obj - The object to check
+ * @returns {boolean} - True for shallowReactive() and shallowReadonly() proxies
+ */
+export function isShallow(obj) {
+  return !!(obj && obj[IS_SHALLOW]);
 }
 
 /**
- * Triggers effects when a property changes
- * @param {Object} target - The reactive object
- * @param {string|symbol} key - The property that changed
- *
- * Notifies all effects that depend on the changed property,
- * causing them to re-run with the new value.
+ * Checks if an object is a proxy created by this library
+ * @param {Object} obj - The object to check
+ * @returns {boolean} - True for reactive, readonly and shallow proxies
  */
-function trigger(target, key) {
-  const depsMap = targetMap.get(target);
-  if (!depsMap) return;
+export function isProxy(obj) {
+  return !!(obj && obj[RAW]);
+}
 
-  const effects = depsMap.get(key);
-  if (effects) {
-    // Create a new Set to avoid infinite loops
-    const effectsToRun = new Set(effects);
-    effectsToRun.forEach((effect) => effect());
-  }
+/**
+ * Checks if a value is a ref object
+ * @param {any} value - The value to check
+ * @returns {boolean} - True if the value is a ref
+ */
+export function isRef(value) {
+  return !!(value && value[IS_REF] === true);
 }
 
 /**
- * Unified proxy creation function
- * @param {Object} obj - The object to make reactive
- * @param {Object} options - Configuration options
- * @returns {Proxy} - A reactive proxy of the object
+ * Returns the inner value if the argument is a ref, otherwise returns the argument
+ * @param {any} value - The value to unwrap
+ * @returns {any} - The unwrapped value
+ *
+ * Useful when you need to work with either refs or raw values.
  */
-function createProxy(obj, options = {}) {
-  const { shallow = false, readonly = false, depth = 0 } = options;
+export function unref(value) {
+  return isRef(value) ? value.value : value;
+}
 
-  if (depth >= MAX_RECURSION_DEPTH) {
-    throw new Error(ERRORS.MAX_RECURSION);
-  }
+/**
+ * Normalizes a ref, a getter or a plain value to its current value
+ * @param {any} source - A ref, a getter function or any value
+ * @returns {any} - The ref's value, the getter's result or the value itself
+ */
+export function toValue(source) {
+  return typeof source === "function" ? source() : unref(source);
+}
 
-  if (reactiveCache.has(obj)) {
-    return reactiveCache.get(obj);
+/**
+ * Creates a proxy unwrapping the refs held by an object
+ * @param {Object} objectWithRefs - An object whose properties may be refs
+ * @returns {Object} - A proxy reading and writing through the refs
+ *
+ * Reading a property returns the ref's value, and assigning a plain value
+ * to a property holding a ref updates the ref. Reactive objects already
+ * unwrap their refs and are returned as they are.
+ */
+export function proxyRefs(objectWithRefs) {
+  if (isReactive(objectWithRefs)) {
+    return objectWithRefs;
   }
-
-  const handlers = {
+  return new Proxy(objectWithRefs, {
     get(target, key, receiver) {
-      if (key === RAW) return target;
-      const result = Reflect.get(target, key, receiver);
-      track(target, key);
-
-      if (!shallow && typeof result === "object" && result !== null) {
-        return createProxy(result, { ...options, depth: depth + 1 });
-      }
-      return result;
+      return unref(Reflect.get(target, key, receiver));
     },
-
     set(target, key, value, receiver) {
-      if (readonly || Object.isFrozen(target)) {
-        console.warn(ERRORS.READONLY);
-        return true;
-      }
       const oldValue = target[key];
-      const result = Reflect.set(target, key, value, receiver);
-      if (oldValue !== value) {
-        trigger(target, key);
-      }
-      return result;
-    },
-
-    deleteProperty(target, key) {
-      if (readonly || Object.isFrozen(target)) {
-        console.warn(ERRORS.READONLY);
+      if (isRef(oldValue) && !isRef(value)) {
+        oldValue.value = value;
         return true;
       }
-      const hadKey = key in target;
-      const result = Reflect.deleteProperty(target, key);
-      if (hadKey) {
-        trigger(target, key);
-      }
-      return result;
+      return Reflect.set(target, key, value, receiver);
     },
-  };
-
-  const proxy = new Proxy(obj, handlers);
-  reactiveCache.set(obj, proxy);
-  return proxy;
+  });
 }
 
 /**
- * Creates a reactive proxy for an object
- * @param {Object} obj - The object to make reactive
- * @returns {Proxy} - A reactive proxy of the object
- *
- * Converts a plain object into a reactive one by wrapping it in a Proxy.
- * The proxy tracks property access and changes, enabling automatic updates.
+ * Builds a readable label for a dep, such as "Object.count" or "ref.value"
+ * @param {Dep} dep - The dep to describe
+ * @returns {string} - The label
  */
-export function reactive(obj) {
-  try {
-    validateReactiveTarget(obj);
-    return createProxy(obj);
-  } catch (error) {
-    console.error("Error creating reactive object:", error);
-    throw error;
+function describeDep(dep) {
+  const { target, key } = dep;
+  let owner = "Object";
+  if (isRef(target)) {
+    owner = "ref";
+  } else if (target && target.constructor && target.constructor.name) {
+    owner = target.constructor.name;
   }
+  const name = typeof key === "symbol" ? `[${key.description}]` : String(key);
+  return `${owner}.${name}`;
 }
 
+// Type handlers used by serialize() and hydrate() for values JSON can't represent
+const DEFAULT_REVIVERS = [
+  {
+    // Escapes user objects that would otherwise look like typed values
+    type: "Object",
+    test: (value) => isPlainObject(value) && Object.hasOwn(value, "$type"),
+    serialize: (obj) => Object.entries(obj),
+    deserialize: (entries) => Object.fromEntries(entries),
+  },
+  {
+    type: "Date",
+    test: (value) => value instanceof Date,
+    serialize: (date) =>
+      Number.isNaN(date.getTime()) ? null : date.toISOString(),
+    deserialize: (value) => new Date(value ?? NaN),
+  },
+  {
+    type: "Map",
+    test: (value) => value instanceof Map,
+    serialize: (map) => [...map],
+    deserialize: (entries) => new Map(entries),
+  },
+  {
+    type: "Set",
+    test: (value) => value instanceof Set,
+    serialize: (set) => [...set],
+    deserialize: (values) => new Set(values),
+  },
+  {
+    type: "BigInt",
+    test: (value) => typeof value === "bigint",
+    serialize: (value) => value.toString(),
+    deserialize: (value) => BigInt(value),
+  },
+];
+
+const snapshotCache = new WeakMap(); // Last snapshot taken of each raw object
+
 /**
- * Creates a reactive reference (simplified implementation)
- * @param {any} value - The initial value
- * @returns {Object} - A reactive reference object
+ * Takes a deep, plain copy of reactive state
+ * @param {any} state - A reactive object, a ref or any value
+ * @returns {any} - A copy without proxies or refs
  *
- * Wraps a primitive value in a reactive object with a .value property.
- * Useful for making primitive values reactive.
+ * Refs are unwrapped, proxies are replaced by copies of their raw objects,
+ * and Maps, Sets and Dates are copied. Objects marked with markRaw() and
+ * other built-ins are kept as they are. Copied objects and arrays are
+ * frozen and structurally shared: a part of the state that didn't change
+ * since the last snapshot is the same object in both, so they can be
+ * compared by reference. Freezing doesn't stop Map, Set and Date methods,
+ * so these copies are never shared; each snapshot makes new ones, and the
+ * objects holding them are new too. Reactive objects are copied from their
+ * raw objects, so reading them isn't tracked.
  */
-export function ref(value) {
-  const refObj = {
-    _value: value,
-    get value() {
-      track(refObj, "value");
-      return this._value;
-    },
-    set value(newValue) {
-      if (this._value !== newValue) {
-        this._value = newValue;
-        trigger(refObj, "value");
-      }
-    },
-  };
-  return refObj;
+export function snapshot(state) {
+  return snapshotValue(state, new Map());
 }
 
 /**
- * Creates a computed property (improved implementation)
- * @param {Function} getter - The function that computes the value
- * @returns {Object} - A computed reference object
- *
- * Creates a reactive value that is computed from other reactive values.
- * The computation is cached and only re-run when dependencies change.
+ * Copies a value for snapshot(), reusing the previous copy when unchanged
+ * @param {any} value - The value to copy
+ * @param {Map} seen - Copies made during this snapshot, to handle cycles
+ * @returns {any} - The copy
  */
-export function computed(getter) {
-  let cachedValue;
-  let dirty = true;
-  let computedEffect;
+function snapshotValue(value, seen) {
+  if (isRef(value)) {
+    return snapshotValue(value.value, seen);
+  }
+  value = toRaw(value);
+  if (value === null || typeof value !== "object") return value;
+  if (seen.has(value)) return seen.get(value);
 
-  const computedRef = {
-    get value() {
-      if (dirty) {
-        if (!computedEffect) {
-          computedEffect = effect(() => {
-            cachedValue = getter();
-          });
-        } else {
-          cachedValue = getter();
-        }
-        dirty = false;
-      }
-      return cachedValue;
-    },
-  };
+  let copy;
+  if (Array.isArray(value)) {
+    copy = [];
+    seen.set(value, copy);
+    for (let i = 0; i < value.length; i++) {
+      copy[i] = snapshotValue(value[i], seen);
+    }
+  } else if (value instanceof Map) {
+    copy = new Map();
+    seen.set(value, copy);
+    value.forEach((item, key) => {
+      copy.set(toRaw(key), snapshotValue(item, seen));
+    });
+    return copy;
+  } else if (value instanceof Set) {
+    copy = new Set();
+    seen.set(value, copy);
+    value.forEach((item) => copy.add(snapshotValue(item, seen)));
+    return copy;
+  } else if (value instanceof Date) {
+    return new Date(value.getTime());
+  } else if (
+    !value[SKIP] &&
+    Object.prototype.toString.call(value) === "[object Object]"
+  ) {
+    copy = {};
+    seen.set(value, copy);
+    Object.keys(value).forEach((key) => {
+      copy[key] = snapshotValue(value[key], seen);
+    });
+  } else {
+    return value;
+  }
 
-  // Don't create any effects during initialization
-  // The effect will be created only when the value is first accessed
+  const previous = snapshotCache.get(value);
+  const result =
+    previous && isSameSnapshot(previous, copy) ? previous : Object.freeze(copy);
+  snapshotCache.set(value, result);
+  seen.set(value, result);
+  return result;
+}
 
-  return computedRef;
+/**
+ * Checks whether two snapshot copies hold the same values
+ * @param {Object|Array} a - The previous copy
+ * @param {Object|Array} b - The new copy of the same object
+ * @returns {boolean} - True if every entry is identical
+ */
+function isSameSnapshot(a, b) {
+  if (Array.isArray(a)) {
+    return (
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => Object.is(item, b[i]))
+    );
+  }
+  const keys = Object.keys(a);
+  return (
+    Object.getPrototypeOf(b) === Object.prototype &&
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => Object.hasOwn(b, key) && Object.is(a[key], b[key]))
+  );
 }
 
 /**
- * Watches for changes in a reactive source
- * @param {Function|Object} source - The source to watch
- * @param {Function} callback - The function to call when the source changes
+ * Serializes reactive state to a JSON string
+ * @param {any} state - A reactive object, a ref or any value
+ * @param {Object} [options] - Serialization options
+ * @param {Array<Object>} [options.revivers] - Extra type handlers, each with
+ * a type name, test(value), serialize(value) and deserialize(data); they
+ * take precedence over the built-in Date, Map, Set and BigInt handlers
+ * @returns {string} - The JSON string
  *
- * Executes a callback whenever the watched source changes.
- * Provides both new and old values to the callback.
+ * The state is serialized from its snapshot(). Values matched by a type
+ * handler are written as { "$type": type, "value": data }, which hydrate()
+ * turns back into the original type.
  */
-export function watch(source, callback) {
-  let oldValue;
-  const getter = typeof source === "function" ? source : () => unref(source);
+export function serialize(state, options = {}) {
+  const revivers = [...(options.revivers || []), ...DEFAULT_REVIVERS];
+  return JSON.stringify(snapshot(state), function (key, value) {
+    // this[key] is the value before toJSON(), e.g. a Date, not its string
+    const original = this[key];
+    const reviver = revivers.find((r) => r.test(original));
+    return reviver
+      ? { $type: reviver.type, value: reviver.serialize(original) }
+      : value;
+  });
+}
 
-  effect(() => {
-    const newValue = getter();
-    callback(newValue, oldValue);
-    oldValue = newValue;
+/**
+ * Parses a string produced by serialize(), reviving the typed values
+ * @param {string} text - The JSON string
+ * @param {Array<Object>} [extraRevivers] - Extra type handlers
+ * @returns {any} - The parsed value
+ */
+function deserialize(text, extraRevivers = []) {
+  const revivers = [...extraRevivers, ...DEFAULT_REVIVERS];
+  return JSON.parse(text, (key, value) => {
+    if (value && typeof value === "object" && typeof value.$type === "string") {
+      const reviver = revivers.find((r) => r.type === value.$type);
+      if (reviver) return reviver.deserialize(value.value);
+    }
+    return value;
   });
 }
 
 /**
- * Creates a readonly version of an object
- * @param {Object} obj - The object to make readonly
- * @returns {Proxy} - A readonly proxy of the object
+ * Compares two values structurally, as JSON Patch test operations do
+ * @param {any} a - The first value
+ * @param {any} b - The second value
+ * @returns {boolean} - True if both hold the same data
  *
- * Creates a proxy that prevents modifications to the object.
- * Useful for ensuring immutability of certain objects.
+ * Arrays are compared element by element and plain objects key by key, in
+ * any order. Other objects, such as Dates, Maps and Sets, are compared by
+ * their serialized form.
  */
-export function readonly(obj) {
-  return createProxy(obj, { readonly: true });
+function isDeepEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => isDeepEqual(item, b[i]))
+    );
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => Object.hasOwn(b, key) && isDeepEqual(a[key], b[key]))
+    );
+  }
+  if (
+    a === null ||
+    b === null ||
+    typeof a !== "object" ||
+    typeof b !== "object"
+  ) {
+    return false;
+  }
+  return serialize(a) === serialize(b);
 }
 
 /**
- * Creates a shallow reactive proxy for an object
- * @param {Object} obj - The object to make shallow reactive
- * @returns {Proxy} - A shallow reactive proxy of the object
- *
- * Similar to reactive() but only makes the top-level properties reactive.
- * Nested objects remain non-reactive, which can be more performant in some cases.
+ * Checks whether hydrate() can update a value in place instead of replacing it
+ * @param {any} current - The value in the existing state
+ * @param {any} next - The incoming value
+ * @returns {boolean} - True if both are arrays, plain objects, Maps or Sets
  */
-export function shallowReactive(obj) {
-  if (typeof obj !== "object" || obj === null) return obj;
-  return createProxy(obj, { shallow: true });
+function canMergeInto(current, next) {
+  if (current === null || next === null) return false;
+  if (typeof current !== "object" || typeof next !== "object") return false;
+  const type = Object.prototype.toString.call(toRaw(current));
+  return (
+    type === Object.prototype.toString.call(next) &&
+    [
+      "[object Object]",
+      "[object Array]",
+      "[object Map]",
+      "[object Set]",
+    ].includes(type) &&
+    !toRaw(current)[SKIP]
+  );
 }
 
 /**
- * Returns the raw, non-proxied object from a reactive proxy
- * @param {Object} obj - The reactive proxy
- * @returns {Object} - The original, non-reactive object
+ * Builds a JSON pointer (RFC 6901) from a list of keys
+ * @param {Array<string|number>} path - The keys from the root
+ * @returns {string} - The pointer, e.g. "/todos/0/done"
+ */
+function toPointer(path) {
+  return path
+    .map((key) => "/" + String(key).replace(/~/g, "~0").replace(/\//g, "~1"))
+    .join("");
+}
+
+/**
+ * Splits a JSON pointer into its keys
+ * @param {string} pointer - The pointer
+ * @returns {Array<string>} - The keys from the root
+ * @throws {Error} If the pointer doesn't start with "/"
+ */
+function parsePointer(pointer) {
+  if (pointer === "") return [];
+  if (typeof pointer !== "string" || pointer[0] !== "/") {
+    throw new Error(ERRORS.INVALID_PATCH);
+  }
+  return pointer
+    .slice(1)
+    .split("/")
+    .map((key) => key.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Builds the patches undoing a list of patches emitted by onPatch()
+ * @param {Array<Object>} patches - Patches carrying their oldValue
+ * @returns {Array<Object>} - The inverse patches, in the order to apply them
  *
- * Useful when you need to access the original object without triggering reactivity.
+ * An add is undone by a remove, a remove by an add of the old value, and a
+ * replace by a replace with the old value. The list is reversed so that
+ * applying it rolls the changes back from the last one.
  */
-export function toRaw(obj) {
-  return obj?.[RAW] || obj;
+export function invertPatches(patches) {
+  return patches
+    .map(({ op, path, value, oldValue }) => {
+      switch (op) {
+        case "add":
+          return { op: "remove", path, oldValue: value };
+        case "remove":
+          return { op: "add", path, value: oldValue };
+        case "replace":
+          return { op: "replace", path, value: oldValue, oldValue: value };
+        default:
+          throw new Error(ERRORS.INVALID_PATCH);
+      }
+    })
+    .reverse();
 }
 
 /**
- * Checks if an object is a reactive proxy
- * @param {Object} obj - The object to check
- * @returns {boolean} - True if the object is reactive
+ * Creates a storage adapter for persist() keeping values in memory
+ * @param {Object} [initial] - Stored strings by key
+ * @returns {Object} - A storage with getItem, setItem and removeItem
  */
-export function isReactive(obj) {
-  return !!obj?.[RAW];
+export function createMemoryStorage(initial = {}) {
+  const items = new Map(Object.entries(initial));
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => {
+      items.set(key, String(value));
+    },
+    removeItem: (key) => {
+      items.delete(key);
+    },
+  };
 }
 
 /**
- * Checks if a value is a ref object
- * @param {any} value - The value to check
- * @returns {boolean} - True if the value is a ref
+ * Creates a storage adapter for persist() from a localStorage-like object
+ * @param {Object} [storage=globalThis.localStorage] - An object with
+ * getItem, setItem and removeItem, e.g. localStorage or sessionStorage
+ * @returns {Object} - A storage with getItem, setItem and removeItem
+ * @throws {Error} If no storage is given and localStorage is unavailable
  */
-export function isRef(value) {
-  return Boolean(
-    value &&
-      typeof value === "object" &&
-      "_value" in value &&
-      Object.getOwnPropertyDescriptor(value, "value")?.get
-  );
+export function createWebStorage(storage = globalThis.localStorage) {
+  if (!storage) {
+    throw new Error(ERRORS.NO_STORAGE);
+  }
+  return {
+    getItem: (key) => storage.getItem(key),
+    setItem: (key, value) => storage.setItem(key, value),
+    removeItem: (key) => storage.removeItem(key),
+  };
 }
 
 /**
- * Returns the inner value if the argument is a ref, otherwise returns the argument
- * @param {any} value - The value to unwrap
- * @returns {any} - The unwrapped value
+ * Creates a storage adapter for persist() writing to a JSON file in Node
+ * @param {string} path - The file holding the stored strings by key
+ * @param {Object} fs - The node:fs/promises module, or an object with its
+ * readFile, writeFile and rename functions
+ * @returns {Object} - A storage whose methods return promises
+ * @throws {Error} If fs is missing
  *
- * Useful when you need to work with either refs or raw values.
+ * The file is replaced atomically: it is written next to its final path,
+ * then renamed. Operations run one after the other so concurrent writes
+ * can't lose keys. The file system is passed in rather than imported, so
+ * that browser bundles of this module never reference node:fs.
  */
-export function unref(value) {
-  return isRef(value) ? value.value : value;
+export function createFileStorage(path, fs) {
+  if (!fs) {
+    throw new Error(ERRORS.NO_FILE_SYSTEM);
+  }
+  let queue = resolvedPromise;
+
+  const enqueue = (task) => {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const read = async () => {
+    try {
+      return JSON.parse(await fs.readFile(path, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      throw error;
+    }
+  };
+
+  const write = async (items) => {
+    const tempPath = `${path}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(items), "utf8");
+    await fs.rename(tempPath, path);
+  };
+
+  return {
+    getItem: (key) =>
+      enqueue(async () => {
+        const items = await read();
+        return Object.hasOwn(items, key) ? items[key] : null;
+      }),
+    setItem: (key, value) =>
+      enqueue(async () => {
+        const items = await read();
+        items[key] = String(value);
+        await write(items);
+      }),
+    removeItem: (key) =>
+      enqueue(async () => {
+        const items = await read();
+        if (!Object.hasOwn(items, key)) return;
+        delete items[key];
+        await write(items);
+      }),
+  };
 }
+
+/**
+ * Creates an isolated reactive runtime
+ * @param {Object} [config] - Runtime configuration
+ * @param {number} [config.maxDepth=MAX_RECURSION_DEPTH] - Limit for flush
+ * rounds, job re-runs and deep watch traversal
+ * @param {number} [config.maxStack=MAX_EFFECT_STACK_SIZE] - Maximum number
+ * of nested effects
+ * @param {number} [config.warnThreshold=EFFECT_STACK_WARNING_THRESHOLD] -
+ * Nesting level at which a warning is logged
+ * @param {Function} [config.scheduler] - Called with a flush function
+ * whenever queued jobs need to run; defaults to a microtask
+ * @param {Function} [config.errorHandler] - Initial error handler, see
+ * setErrorHandler()
+ * @returns {Object} - The runtime's API: reactive(), effect(), ref(),
+ * computed(), watch() and the other functions exported by this module
+ *
+ * Every runtime has its own dependency graph, proxy caches, job queue,
+ * error handler and limits, so effects in one runtime never react to
+ * changes tracked by another. Reactive objects should not be shared
+ * between runtimes. The functions exported by this module belong to a
+ * shared default runtime.
+ */
+export function createReactiveRuntime(config = {}) {
+  const {
+    maxDepth = MAX_RECURSION_DEPTH,
+    maxStack = MAX_EFFECT_STACK_SIZE,
+    warnThreshold = EFFECT_STACK_WARNING_THRESHOLD,
+    scheduler: scheduleFlush = (flush) => resolvedPromise.then(flush),
+    errorHandler: initialErrorHandler = null,
+  } = config;
+
+  // State for tracking effects and dependencies
+  const effectStack = []; // Stack to track currently running effects
+  const targetMap = new WeakMap(); // Maps objects to their dependency maps
+  // Caches for each flavor of proxy, so that one target maps to one proxy per flavor
+  const reactiveMap = new WeakMap();
+  const shallowReactiveMap = new WeakMap();
+  const readonlyMap = new WeakMap();
+  const shallowReadonlyMap = new WeakMap();
+  let strictMode = false; // Throw instead of warning on writes to readonly proxies
+  let activeEffectScope; // Scope collecting the effects currently being created
+  let shouldTrack = true; // Cleared while array mutators run, see pauseTracking()
+  const trackStack = []; // Previous shouldTrack values
+  const patchListeners = new Map(); // onPatch() listeners per raw root object
+  const warnedCollections = new WeakSet(); // Collections reported by warnUnpatchedWrite()
+  const parentEdges = new WeakMap(); // Raw child -> its raw parents, held weakly, and their keys, for patch paths
+
+  // Scheduler state
+  const queue = []; // Pending jobs, kept sorted by job id
+  let flushIndex = 0; // Position of the job currently being flushed
+  let isFlushing = false;
+  let isFlushPending = false;
+  let currentFlushPromise = null;
+  let batchDepth = 0; // Nesting level of batch() calls
+  const pendingPostFlushCbs = new Set(); // Callbacks run after the queue is flushed
+  const pendingEffects = new Set(); // Effects deferred until the outermost batch ends
+  const liveTransactions = new Set(); // Transactions that haven't settled yet, recording writes
+  const touchedEntries = []; // Saved writes whose value after the write is still to be read
+  let isReverting = false; // Set while a transaction reverts, whose writes aren't recorded
+  const stores = new Map(); // Stores created by defineStore(), by id
+  const storePlugins = new Set(); // Plugins applied to each new store
+  let errorHandler = initialErrorHandler; // Set with setErrorHandler(), replaces console.error
+  const reportedErrors = new Set(); // Errors rethrown by an effect after being reported
+  let effectRunDepth = 0; // Nesting of effect runs, reportedErrors is cleared when it drops to zero
+  let uid = 0; // Incrementing id used to order effects in the queue
+
+  /**
+   * Returns a promise that resolves after the pending job queue has been flushed
+   * @param {Function} [fn] - Optional callback to run after the flush
+   * @returns {Promise} - A promise resolved once queued effects have run
+   */
+  function nextTick(fn) {
+    const p = currentFlushPromise || resolvedPromise;
+    return fn ? p.then(fn) : p;
+  }
+
+  /**
+   * Adds a job to the queue and schedules a microtask flush
+   * @param {Function} job - The job to run, optionally carrying a numeric id
+   *
+   * A job already waiting in the queue is not added twice, so any number of
+   * triggers in the same tick collapse into a single run. Jobs are ordered by
+   * id, which means effects created first (parents) run before later ones.
+   */
+  function queueJob(job) {
+    if (job.queued) return;
+    job.queued = true;
+
+    const id = job.id ?? Infinity;
+    // Binary search for the insertion point after the job being flushed
+    let start = isFlushing ? flushIndex + 1 : 0;
+    let end = queue.length;
+    while (start < end) {
+      const middle = (start + end) >>> 1;
+      if ((queue[middle].id ?? Infinity) <= id) {
+        start = middle + 1;
+      } else {
+        end = middle;
+      }
+    }
+    queue.splice(start, 0, job);
+    queueFlush();
+  }
+
+  /**
+   * Schedules a flush of the job queue with the runtime's scheduler
+   *
+   * The default scheduler flushes on the microtask queue. nextTick()
+   * resolves once the scheduled flush has run, whatever scheduler is used.
+   */
+  function queueFlush() {
+    if (!isFlushing && !isFlushPending) {
+      isFlushPending = true;
+      currentFlushPromise = new Promise((resolve) => {
+        scheduleFlush(() => {
+          try {
+            flushJobs();
+          } finally {
+            resolve();
+          }
+        });
+      });
+    }
+  }
+
+  /**
+   * Queues a callback to run after all queued jobs in the next flush
+   * @param {Function} cb - The callback to run, optionally carrying a numeric id
+   */
+  function queuePostFlushCb(cb) {
+    pendingPostFlushCbs.add(cb);
+    queueFlush();
+  }
+
+  /**
+   * Runs a single job, guarding against jobs that keep re-queueing themselves
+   * @param {Function} job - The job to run
+   * @param {Map} runs - Number of times each job has run in this flush
+   */
+  function runJob(job, runs) {
+    const count = (runs.get(job) || 0) + 1;
+    if (count > maxDepth) {
+      handleError(new Error(ERRORS.MAX_RECURSION), ERROR_SOURCES.SCHEDULER);
+      return;
+    }
+    runs.set(job, count);
+
+    callWithErrorHandling(job, ERROR_SOURCES.SCHEDULER);
+  }
+
+  /**
+   * Runs every queued job in order, then the post-flush callbacks
+   *
+   * Jobs queued while flushing are inserted by id and run in the same flush.
+   * A job that keeps re-queueing itself is stopped once it exceeds
+   * maxDepth runs, to avoid locking up the microtask queue.
+   */
+  function flushJobs() {
+    isFlushPending = false;
+    isFlushing = true;
+    const runs = new Map();
+
+    try {
+      // Post-flush callbacks may queue more jobs, so loop until both are empty
+      while (queue.length || pendingPostFlushCbs.size) {
+        for (flushIndex = 0; flushIndex < queue.length; flushIndex++) {
+          const job = queue[flushIndex];
+          job.queued = false;
+          runJob(job, runs);
+        }
+        queue.length = 0;
+        flushIndex = 0;
+
+        const postFlushCbs = [...pendingPostFlushCbs].sort(
+          (a, b) => (a.id ?? Infinity) - (b.id ?? Infinity)
+        );
+        pendingPostFlushCbs.clear();
+        postFlushCbs.forEach((cb) => runJob(cb, runs));
+      }
+    } finally {
+      queue.length = 0;
+      flushIndex = 0;
+      isFlushing = false;
+      currentFlushPromise = null;
+    }
+  }
+
+  /**
+   * Runs a function with effect notifications deferred until it returns
+   * @param {Function} fn - The function performing the mutations
+   * @returns {any} - The return value of fn
+   *
+   * Effects triggered inside the batch are scheduled once after the
+   * outermost batch completes, no matter how many of their dependencies
+   * changed. Synchronous effects run at that point, queued ones on the
+   * next tick.
+   */
+  function batch(fn) {
+    startBatch();
+    try {
+      return fn();
+    } finally {
+      endBatch();
+    }
+  }
+
+  function startBatch() {
+    batchDepth++;
+  }
+
+  function endBatch() {
+    if (--batchDepth === 0) {
+      resolveTouchedEntries();
+      // Effects wait for every live transaction to settle
+      if (!liveTransactions.size) {
+        flushPendingEffects();
+      }
+    }
+  }
+
+  /**
+   * Runs a function whose writes are all kept or all reverted
+   * @param {Function} fn - The function performing the mutations, which may
+   * return a promise
+   * @returns {any} - The return value of fn, or a promise of it if fn is async
+   *
+   * Every write made to reactive objects, collections and refs until fn
+   * returns, or until its promise settles, is recorded, and the effects it
+   * triggers are held until then. If fn throws or its promise rejects, the
+   * recorded writes are reverted before the error is rethrown, except for
+   * values that were changed since without going through the transaction.
+   * Subscribers thus only see the committed state, or nothing. JavaScript
+   * can't tell whose code runs after an await, so writes made by other code
+   * while an async transaction is pending belong to it too, and effects wait
+   * for every pending transaction to settle.
+   */
+  function transaction(fn) {
+    const tx = { writes: new Map() };
+    liveTransactions.add(tx);
+
+    startBatch();
+    try {
+      let result;
+      try {
+        result = fn();
+      } catch (error) {
+        finishTransaction(tx, false);
+        throw error;
+      }
+
+      if (result && typeof result.then === "function") {
+        return Promise.resolve(result).then(
+          (value) => {
+            finishTransaction(tx, true);
+            return value;
+          },
+          (error) => {
+            finishTransaction(tx, false);
+            throw error;
+          }
+        );
+      }
+      finishTransaction(tx, true);
+      return result;
+    } finally {
+      endBatch();
+    }
+  }
+
+  function finishTransaction(tx, committed) {
+    resolveTouchedEntries();
+    liveTransactions.delete(tx);
+    // Releases the held effects once the last transaction settles
+    startBatch();
+    try {
+      if (!committed) {
+        isReverting = true;
+        try {
+          revertWrites(tx.writes);
+        } finally {
+          isReverting = false;
+        }
+      }
+    } finally {
+      endBatch();
+    }
+  }
+
+  /**
+   * Reads the value each recorded write left, to spot later changes made
+   * without going through the transactions
+   */
+  function resolveTouchedEntries() {
+    touchedEntries.forEach(([target, entry, key]) => {
+      entry.after = readKey(target, key);
+    });
+    touchedEntries.length = 0;
+  }
+
+  /**
+   * Reads the state of a key as [present, value]
+   * @param {Object} target - The raw object, array, collection or ref
+   * @param {any} key - The key
+   * @returns {Array} - Whether the key is present, and its value
+   */
+  function readKey(target, key) {
+    if (isRef(target)) {
+      return [true, target._rawValue];
+    }
+    if (target instanceof Map || target instanceof WeakMap) {
+      return [target.has(key), target.get(key)];
+    }
+    if (target instanceof Set || target instanceof WeakSet) {
+      return [target.has(key)];
+    }
+    return [Object.hasOwn(target, key), target[key]];
+  }
+
+  /**
+   * Saves the value a key holds before its first write in each live
+   * transaction
+   * @param {Object} target - The raw object, array, collection or ref
+   * @param {any} key - The key about to be written
+   */
+  function recordWrite(target, key) {
+    if (isReverting) return;
+
+    const keys = Array.isArray(target) ? ["length", key] : [key];
+    liveTransactions.forEach((tx) => {
+      let saved = tx.writes.get(target);
+      if (!saved) {
+        saved = new Map();
+        tx.writes.set(target, saved);
+      }
+      keys.forEach((name) => {
+        let entry = saved.get(name);
+        if (!entry) {
+          const before = readKey(target, name);
+          entry = { before, after: before };
+          saved.set(name, entry);
+        }
+        touchedEntries.push([target, entry, name]);
+      });
+    });
+  }
+
+  /**
+   * Restores the values saved by recordWrite() through the reactive API,
+   * so that effects and computed properties see the reverted state
+   * @param {Map} writes - Saved values per target
+   *
+   * A key whose value changed since the transaction last wrote it was
+   * changed without going through the transaction, for instance by another
+   * transaction reverting, and keeps that value.
+   */
+  function revertWrites(writes) {
+    const isUnchanged = (target, key, { after }) => {
+      const current = readKey(target, key);
+      return after[0] === current[0] && Object.is(after[1], current[1]);
+    };
+
+    writes.forEach((saved, target) => {
+      if (isRef(target)) {
+        const entry = saved.get("value");
+        if (isUnchanged(target, "value", entry)) {
+          target.value = entry.before[1];
+        }
+        return;
+      }
+
+      const proxy = reactive(target);
+      const isArray = Array.isArray(target);
+      if (isArray && isUnchanged(target, "length", saved.get("length"))) {
+        proxy.length = saved.get("length").before[1];
+      }
+      saved.forEach((entry, key) => {
+        if (isArray && key === "length") return;
+        if (!isUnchanged(target, key, entry)) return;
+        const [had, value] = entry.before;
+        if (target instanceof Map || target instanceof WeakMap) {
+          had ? proxy.set(key, value) : proxy.delete(key);
+        } else if (target instanceof Set || target instanceof WeakSet) {
+          had ? proxy.add(key) : proxy.delete(key);
+        } else if (had) {
+          proxy[key] = value;
+        } else {
+          delete proxy[key];
+        }
+      });
+    });
+  }
+
+  /**
+   * Schedules the effects collected while batching
+   *
+   * Effects are handled in the order they were notified. A synchronous
+   * effect only re-runs if it is actually dirty: one that was merely flagged
+   * for a check first refreshes the computed properties it read, and is
+   * skipped if none of their values changed. The batch depth is raised while
+   * running them so that effects triggered by these runs are collected too
+   * instead of recursing.
+   */
+  function flushPendingEffects() {
+    batchDepth++;
+    try {
+      let rounds = 0;
+      // An effect may start an async transaction, which holds the rest
+      while (pendingEffects.size && !liveTransactions.size) {
+        if (++rounds > maxDepth) {
+          pendingEffects.clear();
+          handleError(new Error(ERRORS.MAX_RECURSION), ERROR_SOURCES.SCHEDULER);
+          break;
+        }
+
+        const effects = [...pendingEffects];
+        pendingEffects.clear();
+        // A failing effect must not keep its siblings from running
+        effects.forEach((effect) => {
+          if (!effect.active) return;
+          if (effect.scheduler) {
+            callWithErrorHandling(
+              effect.scheduler,
+              ERROR_SOURCES.SCHEDULER,
+              [],
+              effect
+            );
+          } else {
+            runIfDirty(effect);
+          }
+        });
+      }
+    } finally {
+      batchDepth--;
+    }
+  }
+
+  /**
+   * Re-runs an effect if it is dirty, without letting its errors escape
+   * @param {Function} effect - The effect runner
+   *
+   * Used wherever the library itself runs an effect. The effect has already
+   * reported the error when it reaches this point, so it is only swallowed.
+   * A computed that fails while being checked marks the effect dirty, so it
+   * re-runs and sees the error itself.
+   */
+  function runIfDirty(effect) {
+    // The check and the run share one frame, so that an error reported by
+    // a computed while checking isn't reported again when the effect re-runs
+    enterEffectRun();
+    try {
+      if (isDirty(effect)) {
+        effect();
+      }
+    } catch (error) {
+      forgetReportedError(error);
+    } finally {
+      leaveEffectRun();
+    }
+  }
+
+  /**
+   * Checks whether an effect needs to re-run, resolving the CHECK state
+   * @param {Function} effect - The effect runner
+   * @returns {boolean} - True if the effect is dirty
+   *
+   * Computed dependencies are refreshed in the order they were read, and the
+   * check stops at the first one whose version moved on or whose getter
+   * threw. That way a computed only read behind a condition is never
+   * evaluated once the condition itself changed.
+   */
+  function isDirty(effect) {
+    if (effect.dirtyLevel === CHECK) {
+      for (let i = 0; i < effect.deps.length; i++) {
+        const dep = effect.deps[i];
+        if (dep.computed) {
+          try {
+            refreshComputed(dep.computed);
+          } catch {
+            effect.dirtyLevel = DIRTY;
+            break;
+          }
+          if (dep.version !== effect.depVersions[i]) {
+            effect.dirtyLevel = DIRTY;
+            break;
+          }
+        }
+      }
+      if (effect.dirtyLevel === CHECK) {
+        effect.dirtyLevel = CLEAN;
+        effect.notified = false;
+      }
+    }
+    return effect.dirtyLevel === DIRTY;
+  }
+
+  function enterEffectRun() {
+    effectRunDepth++;
+  }
+
+  /**
+   * Ends an effect run, forgetting the reported errors once the outermost
+   * one returns, so that user code catching an error can't keep it marked
+   */
+  function leaveEffectRun() {
+    if (--effectRunDepth === 0) {
+      reportedErrors.clear();
+    }
+  }
+
+  /**
+   * Marks an error as reported so that outer effects don't report it again
+   * @param {any} error - The error about to be rethrown
+   */
+  function markErrorReported(error) {
+    reportedErrors.add(error);
+  }
+
+  /**
+   * Clears the reported mark once an error stops propagating
+   * @param {any} error - The error that was caught
+   */
+  function forgetReportedError(error) {
+    reportedErrors.delete(error);
+  }
+
+  /**
+   * Sets the handler receiving errors raised by effects, computed properties,
+   * watchers and scheduled jobs
+   * @param {Function|null} handler - Called with (error, source, info), where
+   * source is one of ERROR_SOURCES and info is { effect, target, type, key };
+   * null restores the default, which logs with console.error
+   *
+   * info.effect is the runner that failed, if any, and target, type and key
+   * describe the change that last triggered it.
+   */
+  function setErrorHandler(handler) {
+    errorHandler = handler || null;
+  }
+
+  /**
+   * Reports an error raised by user code run by the library
+   * @param {Error} error - The error that was thrown
+   * @param {string} source - One of ERROR_SOURCES
+   * @param {Function} [effectFn] - The effect runner that failed
+   *
+   * The effect's own onError option takes precedence over the global handler.
+   * Errors an effect already reported before rethrowing them are skipped, so
+   * an error bubbling up through nested effects is only reported once.
+   */
+  function handleError(error, source, effectFn) {
+    if (reportedErrors.has(error)) return;
+
+    const trigger = effectFn && effectFn.lastTrigger;
+    const info = {
+      effect: effectFn,
+      target: trigger && trigger.target,
+      type: trigger && trigger.type,
+      key: trigger && trigger.key,
+    };
+
+    const handler = (effectFn && effectFn.onError) || errorHandler;
+    if (handler) {
+      try {
+        handler(error, source, info);
+        return;
+      } catch (handlerError) {
+        console.error("Error in error handler:", handlerError);
+      }
+    }
+    console.error(`Error in ${source}:`, error);
+  }
+
+  /**
+   * Calls a function, reporting any error it throws instead of propagating it
+   * @param {Function} fn - The function to call
+   * @param {string} source - One of ERROR_SOURCES
+   * @param {Array} [args] - Arguments passed to fn
+   * @param {Function} [effectFn] - The effect the call belongs to, defaults to
+   * the running effect
+   * @returns {any} - The return value of fn, or undefined if it threw
+   */
+  function callWithErrorHandling(
+    fn,
+    source,
+    args = [],
+    effectFn = effectStack[effectStack.length - 1]
+  ) {
+    try {
+      return fn(...args);
+    } catch (error) {
+      handleError(error, source, effectFn);
+      forgetReportedError(error);
+    }
+  }
+
+  /**
+   * Turns strict mode on or off
+   * @param {boolean} enabled - Whether writes to readonly proxies should throw
+   *
+   * By default a write to a readonly proxy logs a warning and is ignored.
+   * In strict mode it throws ERRORS.READONLY instead.
+   */
+  function setStrictMode(enabled) {
+    strictMode = !!enabled;
+  }
+
+  /**
+   * Reports an attempt to modify a readonly proxy
+   * @throws {Error} In strict mode
+   */
+  function reportReadonlyWrite() {
+    if (strictMode) {
+      throw new Error(ERRORS.READONLY);
+    }
+    console.warn(ERRORS.READONLY);
+  }
+
+  /**
+   * Creates and runs a reactive effect
+   * @param {Function} fn - The function to run reactively
+   * @param {Object} [options] - Effect options
+   * @param {"sync"|"pre"|"post"} [options.flush="sync"] - "sync" re-runs the
+   * effect as soon as a dependency changes, "pre" queues it for the next tick
+   * and "post" runs it after the queued jobs of that tick
+   * @param {boolean} [options.lazy=false] - Skip the initial run
+   * @param {Function} [options.scheduler] - Called with the runner instead of
+   * re-running it when a dependency changes; takes precedence over flush
+   * @param {Function} [options.onStop] - Called once when the effect is stopped
+   * @param {Function} [options.onTrack] - Debugger hook called with
+   * { effect, target, type, key } when the effect subscribes to a dependency
+   * @param {Function} [options.onTrigger] - Debugger hook called with
+   * { effect, target, type, key, newValue, oldValue } when a dependency
+   * change marks the effect dirty
+   * @param {Function} [options.onError] - Called with (error, source, info)
+   * instead of the global error handler when the effect throws
+   * @returns {Function} - The effect runner, with a stop() method
+   * @throws {Error} If the effect stack size is exceeded
+   *
+   * An effect is a function that automatically re-runs when its dependencies change.
+   * Effects can be nested, and the stack ensures proper dependency tracking.
+   * Errors are reported, then rethrown to whoever called the runner. When
+   * the library re-runs an effect after a change, the error stops there, so
+   * the other effects depending on that change still run.
+   */
+  function effect(fn, options = {}) {
+    const {
+      flush = "sync",
+      lazy = false,
+      scheduler,
+      onStop,
+      onTrack,
+      onTrigger,
+      onError,
+    } = options;
+
+    if (effectStack.length >= maxStack) {
+      throw new Error(ERRORS.MAX_STACK);
+    }
+
+    const wrappedEffect = () => {
+      // A stopped effect still runs when called directly, but tracks nothing
+      if (!wrappedEffect.active) return fn();
+
+      const lastShouldTrack = shouldTrack;
+      enterEffectRun();
+      try {
+        cleanup(wrappedEffect);
+        wrappedEffect.dirtyLevel = CLEAN;
+        wrappedEffect.notified = false;
+        effectStack.push(wrappedEffect);
+        shouldTrack = true;
+
+        // Add warning for deep effect stacks
+        if (effectStack.length >= warnThreshold) {
+          console.warn(ERRORS.STACK_WARNING);
+        }
+
+        const result = fn();
+        return result;
+      } catch (error) {
+        // Stay dirty so the next read or trigger retries
+        wrappedEffect.dirtyLevel = DIRTY;
+        handleError(
+          error,
+          wrappedEffect.computed
+            ? ERROR_SOURCES.COMPUTED
+            : ERROR_SOURCES.EFFECT,
+          wrappedEffect
+        );
+        markErrorReported(error);
+        throw error;
+      } finally {
+        effectStack.pop();
+        shouldTrack = lastShouldTrack;
+        leaveEffectRun();
+      }
+    };
+
+    wrappedEffect.id = uid++;
+    wrappedEffect.deps = [];
+    wrappedEffect.depVersions = []; // Version of each dep when it was read
+    wrappedEffect.dirtyLevel = DIRTY; // Never run yet
+    wrappedEffect.notified = false; // Marked since it last ran or was checked
+    wrappedEffect.active = true;
+    wrappedEffect.onStop = onStop;
+    wrappedEffect.onTrack = onTrack;
+    wrappedEffect.onTrigger = onTrigger;
+    wrappedEffect.onError = onError;
+    wrappedEffect.lastTrigger = undefined; // The change that last dirtied the effect
+    wrappedEffect.stop = () => stop(wrappedEffect);
+    if (activeEffectScope) {
+      activeEffectScope.effects.push(wrappedEffect);
+    }
+
+    if (scheduler) {
+      wrappedEffect.scheduler = () => scheduler(wrappedEffect);
+    } else if (flush !== "sync") {
+      // Queued runs are skipped if the effect is stopped before the flush,
+      // or if no dependency actually changed by then
+      const job = () => wrappedEffect.active && runIfDirty(wrappedEffect);
+      job.id = wrappedEffect.id;
+      wrappedEffect.scheduler =
+        flush === "post" ? () => queuePostFlushCb(job) : () => queueJob(job);
+    }
+
+    if (!lazy) {
+      wrappedEffect(); // Execute the effect immediately
+    }
+    return wrappedEffect; // Return the effect function for later use
+  }
+
+  /**
+   * Stops an effect from reacting to changes
+   * @param {Function} runner - The runner returned by effect()
+   *
+   * Removes the effect from every dependency it was registered in and calls
+   * its onStop callback. Stopping an already stopped effect does nothing.
+   */
+  function stop(runner) {
+    if (!runner.active) return;
+
+    cleanup(runner);
+    runner.active = false;
+    if (runner.onStop) {
+      runner.onStop();
+    }
+  }
+
+  /**
+   * A group of effects that can be disposed together
+   *
+   * Effects, computed properties and watchers created while a scope is
+   * running are collected by it. Scopes created inside another scope are
+   * stopped along with their parent unless they are detached.
+   */
+  class EffectScope {
+    constructor(detached = false) {
+      this.active = true;
+      this.detached = detached;
+      this.effects = [];
+      this.cleanups = [];
+      this.scopes = [];
+      this.parent = activeEffectScope;
+
+      if (!detached && activeEffectScope) {
+        this.index = activeEffectScope.scopes.push(this) - 1;
+      }
+    }
+
+    /**
+     * Runs a function inside the scope
+     * @param {Function} fn - The function creating effects
+     * @returns {any} - The return value of fn, or undefined if the scope is stopped
+     */
+    run(fn) {
+      if (!this.active) {
+        console.warn(ERRORS.INACTIVE_SCOPE);
+        return undefined;
+      }
+
+      const previousScope = activeEffectScope;
+      try {
+        activeEffectScope = this;
+        return fn();
+      } finally {
+        activeEffectScope = previousScope;
+      }
+    }
+
+    /**
+     * Stops every effect and child scope, then runs the dispose callbacks
+     * @param {boolean} [fromParent] - Set when the parent is stopping its children
+     */
+    stop(fromParent) {
+      if (!this.active) return;
+
+      this.effects.forEach((runner) => stop(runner));
+      this.scopes.forEach((scope) => scope.stop(true));
+      this.cleanups.forEach((cleanupFn) => cleanupFn());
+
+      // Detach from the parent, swapping the last sibling into our slot
+      if (!this.detached && this.parent && !fromParent) {
+        const last = this.parent.scopes.pop();
+        if (last && last !== this) {
+          this.parent.scopes[this.index] = last;
+          last.index = this.index;
+        }
+      }
+
+      this.effects.length = 0;
+      this.cleanups.length = 0;
+      this.scopes.length = 0;
+      this.parent = undefined;
+      this.active = false;
+    }
+  }
+
+  /**
+   * Creates an effect scope
+   * @param {boolean} [detached=false] - Don't collect the scope in the current one
+   * @returns {EffectScope} - A scope with run() and stop() methods
+   *
+   * Effects created inside scope.run() are stopped together by scope.stop(),
+   * which makes it easy to dispose everything a module created.
+   */
+  function effectScope(detached = false) {
+    return new EffectScope(detached);
+  }
+
+  /**
+   * Returns the effect scope that is currently running, if any
+   * @returns {EffectScope|undefined} - The active scope
+   */
+  function getCurrentScope() {
+    return activeEffectScope;
+  }
+
+  /**
+   * Registers a callback to run when the current effect scope is stopped
+   * @param {Function} fn - The dispose callback
+   */
+  function onScopeDispose(fn) {
+    if (activeEffectScope) {
+      activeEffectScope.cleanups.push(fn);
+    } else {
+      console.warn(ERRORS.NO_ACTIVE_SCOPE);
+    }
+  }
+
+  /**
+   * Cleans up dependencies for an effect
+   * @param {Function} effectFn - The effect function to clean up
+   *
+   * Removes the effect from all its dependency sets and clears its deps array.
+   * This prevents memory leaks and ensures clean dependency tracking.
+   */
+  function cleanup(effectFn) {
+    if (effectFn.deps) {
+      for (const dep of effectFn.deps) {
+        dep.delete(effectFn);
+      }
+      effectFn.deps = [];
+      effectFn.depVersions = [];
+    }
+  }
+
+  /**
+   * Tracks property access for dependency collection
+   * @param {Object} target - The reactive object
+   * @param {string} type - One of TRACK_TYPES
+   * @param {string|symbol} key - The property being accessed
+   *
+   * Builds the dependency graph by linking effects to the properties they use.
+   * This enables automatic re-running of effects when dependencies change.
+   */
+  function track(target, type, key) {
+    const effectFn = effectStack[effectStack.length - 1];
+    if (!shouldTrack || !effectFn || !effectFn.active) return;
+
+    let depsMap = targetMap.get(target);
+    if (!depsMap) {
+      depsMap = new Map();
+      targetMap.set(target, depsMap);
+    }
+
+    let dep = depsMap.get(key);
+    if (!dep) {
+      dep = new Dep(target, key);
+      depsMap.set(key, dep);
+    }
+
+    trackDep(dep, type);
+  }
+
+  /**
+   * Subscribes the running effect to a dep
+   * @param {Dep} dep - The dep being read
+   * @param {string} [type="get"] - One of TRACK_TYPES, for the onTrack hook
+   */
+  function trackDep(dep, type = TRACK_TYPES.GET) {
+    const effectFn = effectStack[effectStack.length - 1];
+    if (!shouldTrack || !effectFn || !effectFn.active) return;
+
+    if (!dep.has(effectFn)) {
+      dep.add(effectFn);
+      effectFn.deps.push(dep);
+      effectFn.depVersions.push(dep.version);
+      if (effectFn.onTrack) {
+        effectFn.onTrack({
+          effect: effectFn,
+          target: dep.target,
+          type,
+          key: dep.key,
+        });
+      }
+    }
+  }
+
+  /**
+   * Updates the version an effect recorded for a dep it already subscribed to
+   * @param {Function} [effectFn] - The reading effect, if any
+   * @param {Dep} dep - The dep that was read
+   */
+  function syncDepVersion(effectFn, dep) {
+    if (!effectFn) return;
+    const index = effectFn.deps.indexOf(dep);
+    if (index !== -1) {
+      effectFn.depVersions[index] = dep.version;
+    }
+  }
+
+  /**
+   * Pauses dependency tracking until the matching resetTracking() call
+   */
+  function pauseTracking() {
+    trackStack.push(shouldTrack);
+    shouldTrack = false;
+  }
+
+  /**
+   * Restores dependency tracking to its state before pauseTracking()
+   */
+  function resetTracking() {
+    const last = trackStack.pop();
+    shouldTrack = last === undefined ? true : last;
+  }
+
+  /**
+   * Triggers effects when a property changes
+   * @param {Object} target - The reactive object
+   * @param {string} type - One of TRIGGER_TYPES
+   * @param {string|symbol} [key] - The property that changed
+   * @param {any} [newValue] - The new value, needed when an array's length changes
+   * @param {any} [oldValue] - The previous value, reported to onTrigger hooks
+   *
+   * Notifies all effects that depend on the changed property,
+   * causing them to re-run with the new value. Adding or removing entries
+   * also notifies effects iterating over the target, and clearing a
+   * collection notifies every effect that read from it. For arrays, the
+   * length stands in for iteration: adding an index notifies length readers,
+   * and shrinking the length notifies readers of the removed indices.
+   */
+  function trigger(target, type, key, newValue, oldValue) {
+    const depsMap = targetMap.get(target);
+    if (!depsMap) return;
+
+    const deps = [];
+    const isArray = Array.isArray(target);
+    if (type === TRIGGER_TYPES.CLEAR) {
+      deps.push(...depsMap.values());
+    } else if (isArray && key === "length") {
+      const newLength = Number(newValue);
+      depsMap.forEach((dep, depKey) => {
+        if (
+          depKey === "length" ||
+          (isIntegerKey(depKey) && Number(depKey) >= newLength)
+        ) {
+          deps.push(dep);
+        }
+      });
+    } else {
+      if (key !== undefined) {
+        deps.push(depsMap.get(key));
+      }
+
+      const isMap = target instanceof Map;
+      if (type === TRIGGER_TYPES.ADD && isArray) {
+        if (isIntegerKey(key)) {
+          deps.push(depsMap.get("length"));
+        }
+      } else if (
+        (type === TRIGGER_TYPES.ADD || type === TRIGGER_TYPES.DELETE) &&
+        !isArray
+      ) {
+        deps.push(depsMap.get(ITERATE_KEY));
+        if (isMap) {
+          deps.push(depsMap.get(MAP_KEY_ITERATE_KEY));
+        }
+      } else if (type === TRIGGER_TYPES.SET && isMap) {
+        // forEach(), values() and entries() see the new value
+        deps.push(depsMap.get(ITERATE_KEY));
+      }
+    }
+
+    startBatch();
+    try {
+      const event = { target, type, key, newValue, oldValue };
+      deps.forEach((dep) => dep && triggerDep(dep, event));
+    } finally {
+      endBatch();
+    }
+  }
+
+  /**
+   * Notifies the subscribers of a changed dep
+   * @param {Dep} dep - The dep that changed
+   * @param {Object} [event] - Describes the change for onTrigger hooks and
+   * error reports; defaults to a "set" of the dep's own target and key
+   *
+   * Propagation is push-pull: the push phase only marks subscribers. Direct
+   * subscribers become DIRTY, and computed properties pass a CHECK mark on
+   * to their own subscribers without recomputing. Once the outermost batch
+   * ends, effects pull fresh values, so each computed and effect runs at
+   * most once per change and never sees a half-updated graph.
+   */
+  function triggerDep(dep, event) {
+    dep.version++;
+    startBatch();
+    try {
+      const cause = {
+        target: dep.target,
+        type: TRIGGER_TYPES.SET,
+        key: dep.key,
+        ...event,
+      };
+      notifyTriggerHooks(dep, cause);
+      propagate(dep, DIRTY, cause);
+    } finally {
+      endBatch();
+    }
+  }
+
+  /**
+   * Calls the onTrigger hooks of the effects subscribed to a changed dep
+   * @param {Dep} dep - The dep that changed
+   * @param {Object} cause - The change, with target, type, key, newValue
+   * and oldValue
+   */
+  function notifyTriggerHooks(dep, cause) {
+    for (const effect of dep) {
+      if (!effect.onTrigger || effect === effectStack[effectStack.length - 1]) {
+        continue;
+      }
+      effect.onTrigger({ effect, ...cause });
+    }
+  }
+
+  /**
+   * Marks the subscribers of a dep, recursing through computed properties
+   * @param {Dep} dep - The dep whose subscribers are marked
+   * @param {number} level - The dirty level to raise them to
+   * @param {Object} cause - The original change, with target, type and key,
+   * kept on each effect for error reports
+   */
+  function propagate(dep, level, cause) {
+    for (const effect of [...dep]) {
+      // An effect mutating its own dependency must not re-run itself
+      if (effect === effectStack[effectStack.length - 1]) continue;
+
+      // The dirty level can't tell whether readers were already told: a
+      // computed whose getter threw stays DIRTY but has to pass on the mark
+      const wasNotified = effect.notified;
+      effect.notified = true;
+      if (effect.dirtyLevel < level) {
+        effect.dirtyLevel = level;
+      }
+      effect.lastTrigger = cause;
+
+      if (effect.computed) {
+        if (!wasNotified) {
+          propagate(effect.computed.dep, CHECK, cause);
+        }
+      } else {
+        pendingEffects.add(effect);
+      }
+    }
+  }
+
+  /**
+   * Creates the proxy handlers for plain objects and arrays
+   * @param {Object} options - The options passed to createProxy()
+   * @returns {Object} - Proxy handlers tracking reads and triggering writes
+   */
+  function createObjectHandlers(options) {
+    const { shallow = false, readonly = false } = options;
+
+    return {
+      get(target, key, receiver) {
+        const flag = getProxyFlag(target, key, readonly, shallow);
+        if (flag !== NOT_A_FLAG) return flag;
+
+        if (
+          Array.isArray(target) &&
+          Object.hasOwn(arrayInstrumentations, key)
+        ) {
+          return Reflect.get(arrayInstrumentations, key, receiver);
+        }
+
+        // The target of readonly(reactive(obj)) is itself a proxy; its reads
+        // and the ones tracked here both land on the raw object
+        const result = Reflect.get(target, key, receiver);
+        track(toRaw(target), TRACK_TYPES.GET, key);
+
+        if (shallow) return result;
+
+        // Refs are unwrapped, except for array elements accessed by index
+        if (isRef(result)) {
+          if (Array.isArray(target) && isIntegerKey(key)) return result;
+          const value = result.value;
+          if (patchListeners.size) recordChild(toRaw(target), key, value);
+          return value;
+        }
+
+        if (typeof result === "object" && result !== null) {
+          if (patchListeners.size) recordChild(toRaw(target), key, result);
+          return createProxy(result, options);
+        }
+        return result;
+      },
+
+      set(target, key, value, receiver) {
+        if (readonly || Object.isFrozen(target)) {
+          reportReadonlyWrite();
+          return true;
+        }
+        let oldValue = target[key];
+        // Deep proxies store raw values so identity checks on the raw target
+        // hold. Readonly and shallow proxies are stored as is to keep their flavor.
+        if (!shallow && !isShallow(value) && !isReadonly(value)) {
+          value = toRaw(value);
+          oldValue = toRaw(oldValue);
+        }
+
+        // Assigning a plain value to a property holding a ref updates the ref.
+        // Its own dep notifies readers, so nothing is triggered on the target.
+        if (
+          !shallow &&
+          !Array.isArray(target) &&
+          isRef(oldValue) &&
+          !isRef(value)
+        ) {
+          const previous = oldValue.value;
+          oldValue.value = value;
+          if (
+            patchListeners.size &&
+            hasChanged(toRaw(value), toRaw(previous))
+          ) {
+            recordChild(target, key, value);
+            emitPatch(target, "replace", key, value, previous);
+          }
+          return true;
+        }
+
+        if (liveTransactions.size) recordWrite(target, key);
+        const hadKey =
+          Array.isArray(target) && isIntegerKey(key)
+            ? Number(key) < target.length
+            : Object.hasOwn(target, key);
+        // Shortening an array removes its last elements
+        const removed =
+          patchListeners.size && Array.isArray(target) && key === "length"
+            ? getTruncatedItems(target, value)
+            : [];
+        const result = Reflect.set(target, key, value, receiver);
+
+        // Setters further up the prototype chain of receiver don't count
+        if (target === toRaw(receiver)) {
+          if (patchListeners.size) recordChild(target, key, value);
+          if (!hadKey) {
+            trigger(target, TRIGGER_TYPES.ADD, key, value);
+            if (patchListeners.size) {
+              emitPatch(target, "add", key, value);
+            }
+          } else if (hasChanged(value, oldValue)) {
+            trigger(target, TRIGGER_TYPES.SET, key, value, oldValue);
+            if (removed.length) {
+              removed.forEach(([index, item]) => {
+                emitPatch(target, "remove", index, undefined, item);
+              });
+            } else if (patchListeners.size && key !== "length") {
+              emitPatch(target, "replace", key, value, oldValue);
+            }
+          }
+        }
+        return result;
+      },
+
+      deleteProperty(target, key) {
+        if (readonly || Object.isFrozen(target)) {
+          reportReadonlyWrite();
+          return true;
+        }
+        const hadKey = Object.hasOwn(target, key);
+        const oldValue = target[key];
+        // Only deleting the last element of an array actually removes it
+        const isHole =
+          Array.isArray(target) &&
+          isIntegerKey(key) &&
+          Number(key) !== target.length - 1;
+        if (liveTransactions.size) recordWrite(target, key);
+        const result = Reflect.deleteProperty(target, key);
+        if (hadKey) {
+          trigger(target, TRIGGER_TYPES.DELETE, key, undefined, oldValue);
+          if (patchListeners.size) {
+            emitPatch(
+              target,
+              isHole ? "replace" : "remove",
+              key,
+              undefined,
+              oldValue
+            );
+          }
+        }
+        return result;
+      },
+
+      has(target, key) {
+        track(toRaw(target), TRACK_TYPES.HAS, key);
+        return Reflect.has(target, key);
+      },
+
+      // for...in, Object.keys() and JSON.stringify() enumerate keys, so they
+      // depend on keys being added or deleted but not on their values
+      ownKeys(target) {
+        track(
+          toRaw(target),
+          TRACK_TYPES.ITERATE,
+          Array.isArray(target) ? "length" : ITERATE_KEY
+        );
+        return Reflect.ownKeys(target);
+      },
+    };
+  }
+
+  /**
+   * Array methods that need special handling on reactive arrays
+   *
+   * Elements of a deep reactive array come back as proxies, so the
+   * identity-sensitive searches look in the raw array first and retry with
+   * unwrapped arguments. Mutators read and write length while running;
+   * tracking is paused so an effect calling push() doesn't depend on length,
+   * and their writes are batched so effects run once per call.
+   */
+  const arrayInstrumentations = {};
+
+  ["includes", "indexOf", "lastIndexOf"].forEach((method) => {
+    arrayInstrumentations[method] = function (...args) {
+      const arr = toRaw(this);
+      for (let i = 0, length = this.length; i < length; i++) {
+        track(arr, TRACK_TYPES.GET, String(i));
+      }
+
+      const result = arr[method](...args);
+      if (result === -1 || result === false) {
+        return arr[method](...args.map(toRaw));
+      }
+      return result;
+    };
+  });
+
+  ["push", "pop", "shift", "unshift", "splice"].forEach((method) => {
+    arrayInstrumentations[method] = function (...args) {
+      pauseTracking();
+      startBatch();
+      try {
+        return toRaw(this)[method].apply(this, args);
+      } finally {
+        resetTracking();
+        endBatch();
+      }
+    };
+  });
+
+  /**
+   * Unified proxy creation function
+   * @param {Object} obj - The object to make reactive
+   * @param {Object} options - Configuration options
+   * @returns {Proxy} - A reactive proxy of the object
+   */
+  function createProxy(obj, options = {}) {
+    const { shallow = false, readonly = false } = options;
+
+    // Already a proxy: return it as is, except when making a reactive
+    // proxy readonly, which wraps it so reads still go through its tracking
+    if (obj[RAW] && !(readonly && obj[IS_REACTIVE])) {
+      return obj;
+    }
+
+    const proxyMap = readonly
+      ? shallow
+        ? shallowReadonlyMap
+        : readonlyMap
+      : shallow
+        ? shallowReactiveMap
+        : reactiveMap;
+
+    if (proxyMap.has(obj)) {
+      return proxyMap.get(obj);
+    }
+
+    const targetType = getTargetType(obj);
+    if (targetType === TARGET_TYPES.INVALID) {
+      return obj;
+    }
+
+    const handlers =
+      targetType === TARGET_TYPES.COLLECTION
+        ? getCollectionHandlers(readonly, shallow)
+        : createObjectHandlers(options);
+
+    const proxy = new Proxy(obj, handlers);
+    proxyMap.set(obj, proxy);
+    return proxy;
+  }
+
+  /**
+   * Wraps a value read from a collection in the collection's flavor of proxy
+   * @param {any} value - The raw value
+   * @param {boolean} readonly - Whether the collection is readonly
+   * @param {boolean} shallow - Whether the collection is shallow
+   * @returns {any} - The wrapped value, or the value itself for primitives
+   */
+  function wrapCollectionValue(value, readonly, shallow) {
+    if (shallow || typeof value !== "object" || value === null) return value;
+    return createProxy(value, { readonly });
+  }
+
+  /**
+   * Creates an instrumented keys/values/entries/[Symbol.iterator] method
+   * @param {string|symbol} method - The name of the iteration method
+   * @param {boolean} readonly - Whether the collection is readonly
+   * @param {boolean} shallow - Whether the collection is shallow
+   * @returns {Function} - A method tracking iteration and wrapping values
+   */
+  function createIterableMethod(method, readonly, shallow) {
+    return function (...args) {
+      const target = toRaw(this);
+      const isMap = target instanceof Map;
+      const isPair =
+        method === "entries" || (method === Symbol.iterator && isMap);
+      const isKeyOnly = method === "keys" && isMap;
+      const innerIterator = target[method](...args);
+      const wrap = (value) => wrapCollectionValue(value, readonly, shallow);
+
+      // Iterating over Map keys doesn't depend on the values
+      track(
+        target,
+        TRACK_TYPES.ITERATE,
+        isKeyOnly ? MAP_KEY_ITERATE_KEY : ITERATE_KEY
+      );
+
+      return {
+        next() {
+          const { value, done } = innerIterator.next();
+          if (done) return { value, done };
+          return {
+            value: isPair ? [wrap(value[0]), wrap(value[1])] : wrap(value),
+            done,
+          };
+        },
+        [Symbol.iterator]() {
+          return this;
+        },
+      };
+    };
+  }
+
+  /**
+   * Creates a mutation method that refuses to modify a readonly collection
+   * @param {string} type - One of TRIGGER_TYPES
+   * @returns {Function} - A method that warns and leaves the collection intact
+   */
+  function createReadonlyMethod(type) {
+    return function () {
+      reportReadonlyWrite();
+      return type === TRIGGER_TYPES.DELETE ? false : this;
+    };
+  }
+
+  /**
+   * Creates the methods that replace the native ones on a collection proxy
+   * @param {boolean} readonly - Whether the collection is readonly
+   * @param {boolean} shallow - Whether the collection is shallow
+   * @returns {Object} - The instrumented methods, called with the proxy as this
+   *
+   * Native Map and Set methods only work on the real collection, so each
+   * method unwraps the proxy, tracks or triggers the affected keys, and wraps
+   * values on their way out. Keys and values passed in are unwrapped so the
+   * raw collection never holds proxies.
+   */
+  function createCollectionInstrumentations(readonly, shallow) {
+    const wrap = (value) => wrapCollectionValue(value, readonly, shallow);
+
+    const instrumentations = {
+      get(key) {
+        const target = toRaw(this);
+        const rawKey = toRaw(key);
+        track(target, TRACK_TYPES.GET, rawKey);
+        if (target.has(key)) return wrap(target.get(key));
+        return wrap(target.get(rawKey));
+      },
+
+      has(key) {
+        const target = toRaw(this);
+        const rawKey = toRaw(key);
+        track(target, TRACK_TYPES.HAS, rawKey);
+        return target.has(key) || target.has(rawKey);
+      },
+
+      get size() {
+        const target = toRaw(this);
+        track(target, TRACK_TYPES.ITERATE, ITERATE_KEY);
+        return target.size;
+      },
+
+      forEach(callback, thisArg) {
+        const target = toRaw(this);
+        track(target, TRACK_TYPES.ITERATE, ITERATE_KEY);
+        target.forEach((value, key) => {
+          callback.call(thisArg, wrap(value), wrap(key), this);
+        });
+      },
+    };
+
+    if (readonly) {
+      instrumentations.add = createReadonlyMethod(TRIGGER_TYPES.ADD);
+      instrumentations.set = createReadonlyMethod(TRIGGER_TYPES.SET);
+      instrumentations.delete = createReadonlyMethod(TRIGGER_TYPES.DELETE);
+      instrumentations.clear = createReadonlyMethod(TRIGGER_TYPES.CLEAR);
+    } else {
+      Object.assign(instrumentations, {
+        add(value) {
+          const target = toRaw(this);
+          // Like the set trap of objects, only deep collections store raw values
+          if (!shallow && !isShallow(value) && !isReadonly(value)) {
+            value = toRaw(value);
+          }
+          if (!target.has(value)) {
+            if (liveTransactions.size) recordWrite(target, value);
+            target.add(value);
+            trigger(target, TRIGGER_TYPES.ADD, value, value);
+            if (patchListeners.size) warnUnpatchedWrite(target);
+          }
+          return this;
+        },
+
+        set(key, value) {
+          const target = toRaw(this);
+          if (!shallow && !isShallow(value) && !isReadonly(value)) {
+            value = toRaw(value);
+          }
+          let hadKey = target.has(key);
+          if (!hadKey) {
+            key = toRaw(key);
+            hadKey = target.has(key);
+          }
+
+          const oldValue = target.get(key);
+          if (liveTransactions.size) recordWrite(target, key);
+          target.set(key, value);
+          if (!hadKey) {
+            trigger(target, TRIGGER_TYPES.ADD, key, value);
+          } else if (hasChanged(value, oldValue)) {
+            trigger(target, TRIGGER_TYPES.SET, key, value, oldValue);
+          } else {
+            return this;
+          }
+          if (patchListeners.size) warnUnpatchedWrite(target);
+          return this;
+        },
+
+        delete(key) {
+          const target = toRaw(this);
+          let hadKey = target.has(key);
+          if (!hadKey) {
+            key = toRaw(key);
+            hadKey = target.has(key);
+          }
+
+          const oldValue = target.get ? target.get(key) : undefined;
+          if (liveTransactions.size && hadKey) recordWrite(target, key);
+          const result = target.delete(key);
+          if (hadKey) {
+            trigger(target, TRIGGER_TYPES.DELETE, key, undefined, oldValue);
+            if (patchListeners.size) warnUnpatchedWrite(target);
+          }
+          return result;
+        },
+
+        clear() {
+          const target = toRaw(this);
+          const hadItems = target.size !== 0;
+          if (liveTransactions.size) {
+            target.forEach((_, key) => recordWrite(target, key));
+          }
+          target.clear();
+          if (hadItems) {
+            trigger(target, TRIGGER_TYPES.CLEAR);
+            if (patchListeners.size) warnUnpatchedWrite(target);
+          }
+        },
+      });
+    }
+
+    ["keys", "values", "entries", Symbol.iterator].forEach((method) => {
+      instrumentations[method] = createIterableMethod(
+        method,
+        readonly,
+        shallow
+      );
+    });
+
+    return instrumentations;
+  }
+
+  const collectionHandlersCache = new Map(); // Proxy handlers per collection flavor
+
+  /**
+   * Returns the proxy handlers for a collection flavor
+   * @param {boolean} readonly - Whether the collection is readonly
+   * @param {boolean} shallow - Whether the collection is shallow
+   * @returns {Object} - Proxy handlers routing method access to instrumentations
+   */
+  function getCollectionHandlers(readonly, shallow) {
+    const cacheKey = `${readonly}:${shallow}`;
+    if (!collectionHandlersCache.has(cacheKey)) {
+      const instrumentations = createCollectionInstrumentations(
+        readonly,
+        shallow
+      );
+      collectionHandlersCache.set(cacheKey, {
+        get(target, key, receiver) {
+          const flag = getProxyFlag(target, key, readonly, shallow);
+          if (flag !== NOT_A_FLAG) return flag;
+
+          // WeakMap and WeakSet lack size, clear, forEach and iteration
+          if (Object.hasOwn(instrumentations, key) && key in target) {
+            return Reflect.get(instrumentations, key, receiver);
+          }
+          return Reflect.get(target, key, receiver);
+        },
+      });
+    }
+    return collectionHandlersCache.get(cacheKey);
+  }
+
+  /**
+   * Creates a reactive proxy for an object
+   * @param {Object} obj - The object to make reactive
+   * @returns {Proxy} - A reactive proxy of the object
+   *
+   * Converts a plain object into a reactive one by wrapping it in a Proxy.
+   * The proxy tracks property access and changes, enabling automatic updates.
+   */
+  function reactive(obj) {
+    validateReactiveTarget(obj);
+    return createProxy(obj);
+  }
+
+  /**
+   * Makes an object value reactive, leaving primitives and refs as they are
+   * @param {any} value - The value stored in a ref
+   * @returns {any} - A reactive proxy for plain objects, otherwise the value
+   */
+  function toReactive(value) {
+    return typeof value === "object" && value !== null && !isRef(value)
+      ? reactive(value)
+      : value;
+  }
+
+  /**
+   * A reactive reference holding a single value
+   *
+   * Reading .value subscribes the running effect to the ref's own dep, and
+   * assigning a different value notifies it. Deep refs store object values as
+   * reactive proxies and compare raw values, so assigning the proxy of the
+   * current value is not a change.
+   */
+  class RefImpl {
+    constructor(value, shallow) {
+      this[IS_REF] = true;
+      this[IS_SHALLOW] = shallow;
+      this.dep = new Dep(this, "value");
+      this._rawValue = shallow ? value : toRaw(value);
+      this._value = shallow ? value : toReactive(value);
+    }
+
+    get value() {
+      trackDep(this.dep);
+      return this._value;
+    }
+
+    set value(newValue) {
+      // Readonly and shallow proxies are stored as is to keep their flavor
+      const useDirectValue =
+        this[IS_SHALLOW] || isShallow(newValue) || isReadonly(newValue);
+      newValue = useDirectValue ? newValue : toRaw(newValue);
+      if (hasChanged(newValue, this._rawValue)) {
+        const oldValue = this._value;
+        const oldRawValue = this._rawValue;
+        if (liveTransactions.size) recordWrite(this, "value");
+        this._rawValue = newValue;
+        this._value = useDirectValue ? newValue : toReactive(newValue);
+        triggerDep(this.dep, { newValue: this._value, oldValue });
+        if (patchListeners.size) {
+          emitPatch(this, "replace", undefined, newValue, oldRawValue);
+        }
+      }
+    }
+  }
+
+  /**
+   * A ref whose tracking and triggering are controlled by a user factory
+   */
+  class CustomRefImpl {
+    constructor(factory) {
+      this[IS_REF] = true;
+      this.dep = new Dep(this, "value");
+      const { get, set } = factory(
+        () => trackDep(this.dep),
+        () => triggerDep(this.dep)
+      );
+      this._get = get;
+      this._set = set;
+    }
+
+    get value() {
+      return this._get();
+    }
+
+    set value(newValue) {
+      this._set(newValue);
+    }
+  }
+
+  /**
+   * A ref reading and writing a property of an object
+   *
+   * Nothing is tracked by the ref itself: when the object is reactive, the
+   * property access goes through its proxy and is tracked there.
+   */
+  class ObjectRefImpl {
+    constructor(object, key, defaultValue) {
+      this[IS_REF] = true;
+      this._object = object;
+      this._key = key;
+      this._defaultValue = defaultValue;
+    }
+
+    get value() {
+      const value = this._object[this._key];
+      return value === undefined ? this._defaultValue : value;
+    }
+
+    set value(newValue) {
+      this._object[this._key] = newValue;
+    }
+  }
+
+  /**
+   * A readonly ref returning the result of a getter on every read
+   */
+  class GetterRefImpl {
+    constructor(getter) {
+      this[IS_REF] = true;
+      this._getter = getter;
+    }
+
+    get value() {
+      return this._getter();
+    }
+
+    set value(newValue) {
+      reportReadonlyWrite();
+    }
+  }
+
+  /**
+   * Creates a reactive reference
+   * @param {any} value - The initial value
+   * @returns {RefImpl} - A reactive reference object
+   *
+   * Wraps a value in an object with a reactive .value property. Objects are
+   * made deeply reactive with reactive(); refs are stored as they are.
+   */
+  function ref(value) {
+    return new RefImpl(value, false);
+  }
+
+  /**
+   * Creates a shallow reactive reference
+   * @param {any} value - The initial value
+   * @returns {RefImpl} - A reference that only tracks .value itself
+   *
+   * The value is stored as is, so only replacing .value notifies effects.
+   * Use triggerRef() after mutating the value in place.
+   */
+  function shallowRef(value) {
+    return new RefImpl(value, true);
+  }
+
+  /**
+   * Notifies the effects depending on a ref
+   * @param {Object} ref - The ref to trigger
+   *
+   * Mostly useful with shallowRef() after mutating its value in place.
+   */
+  function triggerRef(ref) {
+    if (ref && ref.dep) {
+      triggerDep(ref.dep);
+    }
+  }
+
+  /**
+   * Creates a ref with explicit control over tracking and triggering
+   * @param {Function} factory - Called with (track, trigger) and returning
+   * an object with get and set functions
+   * @returns {CustomRefImpl} - A ref backed by the factory's get and set
+   *
+   * Building block for refs that decide themselves when to notify, such as
+   * debounced or throttled refs.
+   */
+  function customRef(factory) {
+    return new CustomRefImpl(factory);
+  }
+
+  /**
+   * Creates a computed property
+   * @param {Function|Object} getterOrOptions - The function that computes the
+   * value, or an object with get and set functions for a writable computed
+   * @param {Object} [debugOptions] - onTrack and onTrigger debugger hooks,
+   * see effect()
+   * @returns {Object} - A computed reference object
+   *
+   * Creates a reactive value that is computed from other reactive values.
+   * The computation is cached and only re-run, on the next read, after one of
+   * its dependencies changed. Effects reading the computed are notified when
+   * it becomes stale. Call stop() to detach it from its dependencies.
+   */
+  function computed(getterOrOptions, debugOptions = {}) {
+    let getter;
+    let setter;
+    if (typeof getterOrOptions === "function") {
+      getter = getterOrOptions;
+    } else {
+      getter = getterOrOptions.get;
+      setter = getterOrOptions.set;
+    }
+
+    const computedRef = {
+      [IS_REF]: true,
+      _value: undefined,
+      get value() {
+        // Subscribe before refreshing so that a reader catching the getter's
+        // error still hears about the next change, then record the version
+        // the reader actually saw
+        const reader = effectStack[effectStack.length - 1];
+        trackDep(computedRef.dep);
+        try {
+          refreshComputed(computedRef);
+        } finally {
+          syncDepVersion(reader, computedRef.dep);
+        }
+        return computedRef._value;
+      },
+      set value(newValue) {
+        if (setter) {
+          setter(newValue);
+        } else {
+          console.warn(ERRORS.COMPUTED_READONLY);
+        }
+      },
+      stop() {
+        stop(computedEffect);
+      },
+    };
+
+    // The effect is lazy so the getter only runs on first access, but it is
+    // created up front so that it belongs to the current effect scope. It is
+    // never scheduled: a dependency change only marks it, and the value is
+    // recomputed when it is next read.
+    const computedEffect = effect(getter, {
+      lazy: true,
+      onTrack: debugOptions.onTrack,
+      onTrigger: debugOptions.onTrigger,
+    });
+    computedEffect.computed = computedRef;
+    computedRef.effect = computedEffect;
+    computedRef.dep = new Dep(computedRef, "value", computedRef);
+    computedRef.initialized = false;
+    computedRef.failed = false; // The getter threw, error holds what it threw
+    computedRef.error = undefined;
+
+    return computedRef;
+  }
+
+  /**
+   * Recomputes a computed property if any of its dependencies changed
+   * @param {Object} computedRef - The computed property
+   *
+   * The version of the computed's own dep is only bumped when the new value
+   * differs from the cached one, so readers in the CHECK state stay clean if
+   * the computed settled on the same value. A throwing getter bumps it too,
+   * so readers re-run and see the error. The error is then cached like a
+   * value and rethrown to every reader until a dependency changes, unless the
+   * getter threw before reading any: nothing would mark it again, so it
+   * retries on the next read.
+   */
+  function refreshComputed(computedRef) {
+    const { effect: computedEffect } = computedRef;
+    if (!computedRef.initialized || isDirty(computedEffect)) {
+      try {
+        const value = computedEffect();
+        if (
+          !computedRef.initialized ||
+          computedRef.failed ||
+          hasChanged(value, computedRef._value)
+        ) {
+          computedRef._value = value;
+          computedRef.dep.version++;
+        }
+        computedRef.failed = false;
+        computedRef.error = undefined;
+      } catch (error) {
+        computedRef.failed = true;
+        computedRef.error = error;
+        computedRef.dep.version++;
+        if (computedEffect.deps.length) {
+          computedEffect.dirtyLevel = CLEAN;
+        }
+      }
+      computedRef.initialized = true;
+    }
+    if (computedRef.failed) {
+      throw computedRef.error;
+    }
+  }
+
+  /**
+   * Watches for changes in one or more reactive sources
+   * @param {Function|Object|Array} source - A ref, a reactive object, a getter,
+   * or an array of those
+   * @param {Function} callback - Called with (newValue, oldValue, onCleanup)
+   * @param {Object} [options] - Watch options
+   * @param {boolean} [options.immediate=false] - Run the callback right away
+   * @param {boolean} [options.deep] - Traverse the source so nested changes
+   * trigger the callback; implied when watching a reactive object
+   * @param {boolean} [options.once=false] - Stop after the first callback
+   * @param {"sync"|"pre"|"post"} [options.flush="pre"] - When the callback runs
+   * @param {Function} [options.onTrack] - Debugger hook, see effect()
+   * @param {Function} [options.onTrigger] - Debugger hook, see effect()
+   * @returns {Function} - A function that stops the watcher
+   * @throws {Error} If the source can't be watched
+   *
+   * Executes a callback whenever the watched source changes.
+   * Provides both new and old values to the callback. Changes are batched:
+   * the callback runs once on the next tick however many times the source
+   * changed in between. Functions passed to onCleanup run before the next
+   * callback and when the watcher stops, which lets stale async work be
+   * cancelled.
+   */
+  function watch(source, callback, options = {}) {
+    return doWatch(source, callback, options);
+  }
+
+  /**
+   * Runs a function immediately and re-runs it whenever its dependencies change
+   * @param {Function} fn - The side effect, called with an onCleanup registrar
+   * @param {Object} [options] - Watch options
+   * @param {"sync"|"pre"|"post"} [options.flush="pre"] - When re-runs happen
+   * @param {Function} [options.onTrack] - Debugger hook, see effect()
+   * @param {Function} [options.onTrigger] - Debugger hook, see effect()
+   * @returns {Function} - A function that stops the watcher
+   *
+   * Functions passed to onCleanup run before each re-run and when the watcher
+   * stops, so overlapping async work can be invalidated. Errors thrown by fn
+   * or by its cleanup are reported through the library's error handling.
+   */
+  function watchEffect(fn, options = {}) {
+    return doWatch(fn, null, options);
+  }
+
+  /**
+   * Alias of watchEffect() with flush: "post"
+   * @param {Function} fn - The side effect, called with an onCleanup registrar
+   * @returns {Function} - A function that stops the watcher
+   */
+  function watchPostEffect(fn) {
+    return doWatch(fn, null, { flush: "post" });
+  }
+
+  /**
+   * Alias of watchEffect() with flush: "sync"
+   * @param {Function} fn - The side effect, called with an onCleanup registrar
+   * @returns {Function} - A function that stops the watcher
+   */
+  function watchSyncEffect(fn) {
+    return doWatch(fn, null, { flush: "sync" });
+  }
+
+  /**
+   * Shared implementation of watch() and watchEffect()
+   * @param {Function|Object|Array} source - The watched source, or the side
+   * effect itself when callback is null
+   * @param {Function|null} callback - The watch callback
+   * @param {Object} options - Watch options
+   * @returns {Function} - A function that stops the watcher
+   */
+  function doWatch(source, callback, options) {
+    const {
+      immediate = false,
+      deep,
+      once = false,
+      flush = "pre",
+      onTrack,
+      onTrigger,
+      onError,
+    } = options;
+
+    let cleanupFn;
+    const onCleanup = (fn) => {
+      cleanupFn = fn;
+    };
+    const runCleanup = () => {
+      if (cleanupFn) {
+        const fn = cleanupFn;
+        cleanupFn = undefined;
+        callWithErrorHandling(fn, ERROR_SOURCES.WATCH_CLEANUP, [], runner);
+      }
+    };
+
+    let getter;
+    let isMultiSource = false;
+    let forceTrigger = false;
+
+    if (callback) {
+      isMultiSource = Array.isArray(source) && !isReactive(source);
+      const sources = isMultiSource ? source : [source];
+      sources.forEach(validateWatchSource);
+
+      // Reactive objects are traversed deeply unless deep is explicitly false.
+      // With deep: true the whole result is traversed below instead.
+      const readSource = (s) => {
+        if (isRef(s)) return s.value;
+        if (isReactive(s)) {
+          if (deep) return s;
+          return traverse(s, deep === false ? 1 : Infinity);
+        }
+        return callWithErrorHandling(s, ERROR_SOURCES.WATCH_GETTER, [], runner);
+      };
+
+      getter = isMultiSource
+        ? () => source.map(readSource)
+        : () => readSource(source);
+
+      // A reactive object is the same proxy before and after a change
+      forceTrigger = deep || sources.some(isReactive);
+
+      if (deep) {
+        const baseGetter = getter;
+        getter = () => traverse(baseGetter());
+      }
+    } else {
+      if (typeof source !== "function") {
+        throw new Error(ERRORS.INVALID_WATCH_SOURCE);
+      }
+      getter = () => {
+        runCleanup();
+        return callWithErrorHandling(
+          source,
+          ERROR_SOURCES.WATCH_CALLBACK,
+          [onCleanup],
+          runner
+        );
+      };
+    }
+
+    let oldValue = isMultiSource ? [] : undefined;
+    const job = (isFirstRun = false) => {
+      if (!runner.active || !isDirty(runner)) return;
+
+      if (!callback) {
+        runner();
+        return;
+      }
+
+      const newValue = runner();
+      const changed = isMultiSource
+        ? newValue.some((value, i) => hasChanged(value, oldValue[i]))
+        : hasChanged(newValue, oldValue);
+
+      if (isFirstRun === true || forceTrigger || changed) {
+        runCleanup();
+        callWithErrorHandling(
+          callback,
+          ERROR_SOURCES.WATCH_CALLBACK,
+          [newValue, oldValue, onCleanup],
+          runner
+        );
+        oldValue = newValue;
+        if (once) {
+          unwatch();
+        }
+      }
+    };
+
+    let scheduler;
+    if (flush === "sync") {
+      scheduler = () => job();
+    } else if (flush === "post") {
+      scheduler = () => queuePostFlushCb(job);
+    } else {
+      scheduler = () => queueJob(job);
+    }
+
+    const runner = effect(getter, {
+      lazy: true,
+      scheduler,
+      onStop: runCleanup,
+      onTrack,
+      onTrigger,
+      onError,
+    });
+    job.id = runner.id;
+
+    const unwatch = () => stop(runner);
+
+    if (!callback) {
+      // Post effects wait for the flush timing for their first run as well
+      if (flush === "post") {
+        queuePostFlushCb(job);
+      } else {
+        runner();
+      }
+    } else if (immediate) {
+      job(true);
+    } else {
+      oldValue = runner();
+    }
+
+    return unwatch;
+  }
+
+  /**
+   * Reads every nested property of a value so that an effect tracks all of them
+   * @param {any} value - The value to traverse
+   * @param {number} [depth=Infinity] - How many levels to descend
+   * @param {Set} [seen] - Values already visited, to handle cycles
+   * @param {number} [level=0] - Current recursion level
+   * @returns {any} - The value itself
+   * @throws {Error} If the value is nested deeper than maxDepth
+   */
+  function traverse(value, depth = Infinity, seen = new Set(), level = 0) {
+    if (depth <= 0 || value === null || typeof value !== "object") {
+      return value;
+    }
+    if (seen.has(value)) return value;
+    if (level >= maxDepth) {
+      throw new Error(ERRORS.MAX_RECURSION);
+    }
+    seen.add(value);
+    depth--;
+    level++;
+
+    if (isRef(value)) {
+      traverse(value.value, depth, seen, level);
+    } else if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) {
+        traverse(value[i], depth, seen, level);
+      }
+    } else if (value instanceof Map || value instanceof Set) {
+      value.forEach((item) => traverse(item, depth, seen, level));
+    } else {
+      for (const key in value) {
+        traverse(value[key], depth, seen, level);
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Creates a readonly version of an object
+   * @param {Object} obj - The object to make readonly
+   * @returns {Proxy} - A readonly proxy of the object
+   * @throws {Error} If the object is invalid for reactivity
+   *
+   * Creates a proxy that prevents modifications to the object.
+   * Useful for ensuring immutability of certain objects. A readonly view of
+   * a reactive object still tracks it, so effects reading the view re-run
+   * when the reactive object changes.
+   */
+  function readonly(obj) {
+    validateReactiveTarget(obj);
+    return createProxy(obj, { readonly: true });
+  }
+
+  /**
+   * Creates a shallow readonly proxy for an object
+   * @param {Object} obj - The object to make shallow readonly
+   * @returns {Proxy} - A shallow readonly proxy of the object
+   * @throws {Error} If the object is invalid for reactivity
+   *
+   * Only the top-level properties are readonly. Nested objects are returned
+   * as they are, neither readonly nor reactive.
+   */
+  function shallowReadonly(obj) {
+    validateReactiveTarget(obj);
+    return createProxy(obj, { readonly: true, shallow: true });
+  }
+
+  /**
+   * Creates a shallow reactive proxy for an object
+   * @param {Object} obj - The object to make shallow reactive
+   * @returns {Proxy} - A shallow reactive proxy of the object
+   *
+   * Similar to reactive() but only makes the top-level properties reactive.
+   * Nested objects remain non-reactive, which can be more performant in some cases.
+   */
+  function shallowReactive(obj) {
+    if (typeof obj !== "object" || obj === null) return obj;
+    return createProxy(obj, { shallow: true });
+  }
+
+  /**
+   * Creates a ref from a property of an object, a getter or a value
+   * @param {Object|Function|any} source - A reactive object, a getter, a ref or a value
+   * @param {string|symbol} [key] - The property to link when source is an object
+   * @param {any} [defaultValue] - Returned when the property is undefined
+   * @returns {Object} - A ref
+   *
+   * toRef(obj, key) stays linked to obj[key] in both directions, so the ref
+   * survives destructuring. toRef(getter) creates a readonly ref calling the
+   * getter on every read. Refs are returned as they are, and other values are
+   * wrapped with ref().
+   */
+  function toRef(source, key, defaultValue) {
+    if (isRef(source)) {
+      return source;
+    }
+    if (typeof source === "function") {
+      return new GetterRefImpl(source);
+    }
+    if (typeof source === "object" && source !== null && arguments.length > 1) {
+      return propertyToRef(source, key, defaultValue);
+    }
+    return ref(source);
+  }
+
+  /**
+   * Creates a ref for a property, reusing the ref the property already holds
+   * @param {Object} source - The object owning the property
+   * @param {string|symbol} key - The property
+   * @param {any} [defaultValue] - Returned when the property is undefined
+   * @returns {Object} - A ref
+   */
+  function propertyToRef(source, key, defaultValue) {
+    const value = source[key];
+    return isRef(value) ? value : new ObjectRefImpl(source, key, defaultValue);
+  }
+
+  /**
+   * Converts every property of an object into a linked ref
+   * @param {Object|Array} obj - The reactive object to convert
+   * @returns {Object|Array} - A plain object (or array) of refs
+   *
+   * Lets a reactive object be destructured without losing reactivity.
+   */
+  function toRefs(obj) {
+    const result = Array.isArray(obj) ? new Array(obj.length) : {};
+    for (const key in obj) {
+      result[key] = propertyToRef(obj, key);
+    }
+    return result;
+  }
+
+  /**
+   * Lists the dependencies an effect subscribed to during its last run
+   * @param {Function|Object} runner - An effect runner or a computed property
+   * @returns {Array<Object>} - One { target, key } entry per dependency, in
+   * the order they were read; computed dependencies have the computed as target
+   */
+  function getDependencies(runner) {
+    const effectFn = runner && runner.effect ? runner.effect : runner;
+    if (!effectFn || !effectFn.deps) return [];
+    return effectFn.deps.map((dep) => ({ target: dep.target, key: dep.key }));
+  }
+
+  /**
+   * Lists the effects subscribed to a property
+   * @param {Object} target - A reactive object, its raw object, or a ref
+   * @param {string|symbol} [key] - The property; ignored for refs
+   * @returns {Array<Function>} - The subscribed effect runners
+   */
+  function getSubscribers(target, key) {
+    let dep;
+    if (isRef(target)) {
+      dep = target.dep;
+    } else {
+      const depsMap = targetMap.get(toRaw(target));
+      dep = depsMap && depsMap.get(key);
+    }
+    return dep ? [...dep] : [];
+  }
+
+  /**
+   * Dumps the dependency graph reachable from a set of effects
+   * @param {Array<Function|Object>} roots - Effect runners or computed properties
+   * @param {"json"|"dot"} [format="json"] - The output format
+   * @returns {string} - A JSON document with nodes and edges, or a Graphviz
+   * DOT digraph
+   * @throws {Error} If the format is unknown
+   *
+   * Deps appear as "dep" nodes and effects as "effect" or "computed" nodes.
+   * Edges point from a dependency to the effect it notifies. Computed
+   * properties are followed to their own dependencies.
+   */
+  function dumpGraph(roots, format = "json") {
+    if (format !== "json" && format !== "dot") {
+      throw new Error(ERRORS.INVALID_GRAPH_FORMAT);
+    }
+
+    const nodes = [];
+    const edges = [];
+    const nodeIds = new Map();
+    const pending = [];
+
+    const effectNode = (effectFn) => {
+      if (!nodeIds.has(effectFn)) {
+        const type = effectFn.computed ? "computed" : "effect";
+        const id = `${type}:${effectFn.id}`;
+        nodeIds.set(effectFn, id);
+        nodes.push({ id, type, label: `${type} #${effectFn.id}` });
+        pending.push(effectFn);
+      }
+      return nodeIds.get(effectFn);
+    };
+
+    const depNode = (dep) => {
+      if (dep.computed) return effectNode(dep.computed.effect);
+      if (!nodeIds.has(dep)) {
+        const id = `dep:${nodeIds.size}`;
+        nodeIds.set(dep, id);
+        nodes.push({ id, type: "dep", label: describeDep(dep) });
+      }
+      return nodeIds.get(dep);
+    };
+
+    roots.forEach((root) => effectNode(root.effect || root));
+    while (pending.length) {
+      const effectFn = pending.shift();
+      const to = nodeIds.get(effectFn);
+      effectFn.deps.forEach((dep) => edges.push({ from: depNode(dep), to }));
+    }
+
+    if (format === "json") {
+      return JSON.stringify({ nodes, edges }, null, 2);
+    }
+
+    const lines = nodes.map(
+      ({ id, type, label }) =>
+        `  ${JSON.stringify(id)} [label=${JSON.stringify(label)}, shape=${type === "dep" ? "ellipse" : "box"}];`
+    );
+    edges.forEach(({ from, to }) => {
+      lines.push(`  ${JSON.stringify(from)} -> ${JSON.stringify(to)};`);
+    });
+    return `digraph reactive {\n${lines.join("\n")}\n}`;
+  }
+
+  /**
+   * Listens to every write to a reactive tree as JSON Patch operations
+   * @param {Object} state - The reactive object (or its raw object) or the
+   * ref to observe
+   * @param {Function} listener - Called with (patch, inversePatch) for each
+   * change, synchronously as it happens
+   * @returns {Function} - A function that removes the listener
+   *
+   * Patches follow RFC 6902: { op, path, value } where op is "add",
+   * "replace" or "remove" and path is a JSON pointer from state. They also
+   * carry the oldValue, and values are snapshot() copies. Array methods
+   * emit the element-level operations they perform, so applying the patches
+   * in order replays them. Writes to nested objects are reported with
+   * their path from state: the objects in the tree when the listener is
+   * added are known, and so are the ones later read or assigned through
+   * its proxies. Map and Set mutations are not reported, and log a warning
+   * the first time they happen in a watched tree. Assigning the
+   * value of a ref is a replace of the whole document (path ""). Errors
+   * thrown by the listener go to the error handler.
+   */
+  function onPatch(state, listener) {
+    const root = toRaw(state);
+    let listeners = patchListeners.get(root);
+    if (!listeners) {
+      listeners = new Set();
+      patchListeners.set(root, listeners);
+      // Later links are recorded as the tree is read and written
+      const value = isRef(root) ? toRaw(root._rawValue) : root;
+      if (value !== null && typeof value === "object") {
+        pauseTracking();
+        try {
+          recordTree(value);
+        } finally {
+          resetTracking();
+        }
+      }
+    }
+    listeners.add(listener);
+
+    return () => {
+      listeners.delete(listener);
+      if (!listeners.size && patchListeners.get(root) === listeners) {
+        patchListeners.delete(root);
+      }
+    };
+  }
+
+  /**
+   * Records that a raw object was reached through a property of another
+   * @param {Object} parent - The raw parent object
+   * @param {string|symbol} key - The property
+   * @param {Object} child - The raw child object
+   */
+  function recordParent(parent, key, child) {
+    let edges = parentEdges.get(child);
+    if (!edges) {
+      // Parents are held weakly so that a long-lived child shared by many
+      // objects doesn't keep all of them alive
+      edges = { parents: new Set(), keys: new WeakMap() };
+      parentEdges.set(child, edges);
+    }
+    let keys = edges.keys.get(parent);
+    if (!keys) {
+      keys = new Set();
+      edges.keys.set(parent, keys);
+      edges.parents.add(new WeakRef(parent));
+    }
+    keys.add(key);
+  }
+
+  /**
+   * Records a value assigned to or read from a property if it is an object
+   * in the tree of an onPatch() root
+   * @param {Object} parent - The raw parent object
+   * @param {string|symbol} key - The property
+   * @param {any} value - The value, possibly a proxy
+   */
+  function recordChild(parent, key, value) {
+    value = toRaw(value);
+    if (
+      value !== null &&
+      typeof value === "object" &&
+      !isRef(value) &&
+      (parentEdges.has(parent) || isPatchTreeTop(parent))
+    ) {
+      recordParent(parent, key, value);
+    }
+  }
+
+  /**
+   * Checks whether an object is an onPatch() root or the value of a ref root
+   * @param {Object} obj - The raw object
+   * @returns {boolean} - True if paths to the listeners start from obj
+   */
+  function isPatchTreeTop(obj) {
+    for (const root of patchListeners.keys()) {
+      if ((isRef(root) ? toRaw(root._rawValue) : root) === obj) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Lists the elements an array loses when its length is shortened
+   * @param {Array} target - The raw array
+   * @param {any} newLength - The length being assigned
+   * @returns {Array<Array>} - [index, element] pairs, last index first
+   */
+  function getTruncatedItems(target, newLength) {
+    const removed = [];
+    for (let i = target.length - 1; i >= Number(newLength); i--) {
+      if (Object.hasOwn(target, i)) {
+        removed.push([String(i), target[i]]);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Reads a property of a raw object as the raw value it holds
+   * @param {Object} obj - The raw object
+   * @param {string|symbol} key - The property
+   * @returns {any} - The raw value, with refs unwrapped
+   */
+  function rawChild(obj, key) {
+    const value = obj[key];
+    return toRaw(isRef(value) ? value.value : value);
+  }
+
+  /**
+   * Records the parent of every object and array reachable from a root
+   * @param {Object} root - The raw root
+   */
+  function recordTree(root) {
+    const visited = new Set([root]);
+    const queue = [root];
+    while (queue.length) {
+      const obj = queue.shift();
+      for (const key of Object.keys(obj)) {
+        const child = rawChild(obj, key);
+        if (child === null || typeof child !== "object") continue;
+        recordParent(obj, key, child);
+        if (
+          !visited.has(child) &&
+          getTargetType(child) === TARGET_TYPES.COMMON
+        ) {
+          visited.add(child);
+          queue.push(child);
+        }
+      }
+    }
+  }
+
+  /**
+   * Finds a path of keys leading from a root object to another object
+   * @param {Object} root - The raw root
+   * @param {Object} target - The raw object to reach
+   * @param {Set} [visited] - Objects already walked through, for cycles
+   * @returns {Array|null} - The keys from root to target, or null
+   *
+   * Walks up the recorded parents, only following a link if the parent
+   * still holds the object under that key, and forgets the other links. An
+   * object whose parents don't lead to the root isn't part of its tree.
+   */
+  function findPath(root, target, visited = new Set()) {
+    if (target === root) return [];
+    if (visited.has(target)) return null;
+    visited.add(target);
+
+    const edges = parentEdges.get(target);
+    if (!edges) return null;
+    for (const parentRef of edges.parents) {
+      const parent = parentRef.deref();
+      const keys = parent && edges.keys.get(parent);
+      if (keys) {
+        keys.forEach((key) => {
+          if (rawChild(parent, key) !== target) keys.delete(key);
+        });
+      }
+      if (!keys || !keys.size) {
+        edges.parents.delete(parentRef);
+        if (parent) edges.keys.delete(parent);
+        continue;
+      }
+
+      const path = findPath(root, parent, visited);
+      if (path) return [...path, keys.values().next().value];
+    }
+    return null;
+  }
+
+  /**
+   * Finds the path from an onPatch() root to the object written to
+   * @param {Object} root - The raw object or ref passed to onPatch()
+   * @param {Object} target - The raw object or ref written to
+   * @returns {Array|null} - The keys from root to target, or null
+   */
+  function findPatchPath(root, target) {
+    if (target === root) return [];
+    if (!isRef(root)) return findPath(root, target);
+
+    // Paths inside a ref start from its value
+    const value = toRaw(root._rawValue);
+    return value !== null && typeof value === "object"
+      ? findPath(value, target)
+      : null;
+  }
+
+  /**
+   * Warns the first time a Map or Set inside an onPatch() tree changes
+   * @param {Map|Set} target - The raw collection
+   *
+   * JSON Patch can't describe the change, so listeners such as useHistory()
+   * silently miss it otherwise.
+   */
+  function warnUnpatchedWrite(target) {
+    if (warnedCollections.has(target)) return;
+    for (const root of patchListeners.keys()) {
+      if (findPatchPath(root, target)) {
+        warnedCollections.add(target);
+        console.warn(ERRORS.UNPATCHED_COLLECTION);
+        return;
+      }
+    }
+  }
+
+  /**
+   * Sends a patch for a write to the listeners whose tree contains the target
+   * @param {Object} target - The raw object or ref written to
+   * @param {string} op - "add", "replace" or "remove"
+   * @param {string|symbol} [key] - The property written, undefined when a
+   * ref's value is replaced
+   * @param {any} value - The new value
+   * @param {any} [oldValue] - The previous value
+   */
+  function emitPatch(target, op, key, value, oldValue) {
+    if (typeof key === "symbol") return;
+
+    pauseTracking();
+    try {
+      patchListeners.forEach((listeners, root) => {
+        const path = findPatchPath(root, target);
+        if (!path) return;
+
+        const pointer = toPointer(key === undefined ? path : [...path, key]);
+        const patch = { op, path: pointer };
+        if (op !== "remove") patch.value = snapshot(value);
+        if (op !== "add") patch.oldValue = snapshot(oldValue);
+        const [inversePatch] = invertPatches([patch]);
+        [...listeners].forEach((listener) =>
+          callWithErrorHandling(
+            listener,
+            ERROR_SOURCES.PATCH_LISTENER,
+            [patch, inversePatch],
+            null
+          )
+        );
+      });
+    } finally {
+      resetTracking();
+    }
+  }
+
+  /**
+   * Applies JSON Patch operations to reactive state
+   * @param {Object} state - The reactive object to patch
+   * @param {Array<Object>} patches - RFC 6902 operations: add, remove,
+   * replace, move, copy and test
+   * @returns {Object} - The state
+   * @throws {Error} If an operation or path is invalid, or a test fails
+   *
+   * Patches are applied through the reactive proxy in a single batch, so
+   * effects run once afterwards and onPatch() listeners see the changes.
+   * For a ref, paths start from its value and a replace of "" assigns it.
+   * Values are copied before being stored.
+   */
+  function applyPatches(state, patches) {
+    batch(() => {
+      patches.forEach((patch) => applyPatch(state, patch));
+    });
+    return state;
+  }
+
+  function applyPatch(source, patch) {
+    const { op } = patch;
+    const keys = parsePointer(patch.path);
+    if (!keys.length) {
+      if (!isRef(source) || op !== "replace") {
+        throw new Error(ERRORS.INVALID_PATCH);
+      }
+      source.value = cloneValue(patch.value);
+      return;
+    }
+
+    const state = isRef(source) ? source.value : source;
+    switch (op) {
+      case "add":
+        return addAt(state, keys, cloneValue(patch.value));
+      case "remove":
+        return removeAt(state, keys);
+      case "replace": {
+        const [parent, key] = resolveParent(state, keys);
+        parent[key] = cloneValue(patch.value);
+        return;
+      }
+      case "move": {
+        const from = parsePointer(patch.from);
+        const value = removeAt(state, from);
+        return addAt(state, keys, value);
+      }
+      case "copy": {
+        const [parent, key] = resolveParent(state, parsePointer(patch.from));
+        return addAt(state, keys, cloneValue(snapshot(parent[key])));
+      }
+      case "test": {
+        const [parent, key] = resolveParent(state, keys);
+        if (!isDeepEqual(snapshot(parent[key]), patch.value)) {
+          throw new Error(ERRORS.PATCH_TEST_FAILED);
+        }
+        return;
+      }
+      default:
+        throw new Error(ERRORS.INVALID_PATCH);
+    }
+  }
+
+  function resolveParent(state, keys) {
+    let parent = state;
+    for (let i = 0; i < keys.length - 1; i++) {
+      parent = parent[keys[i]];
+      if (parent === null || typeof parent !== "object") {
+        throw new Error(ERRORS.INVALID_PATCH);
+      }
+    }
+    return [parent, keys[keys.length - 1]];
+  }
+
+  function addAt(state, keys, value) {
+    const [parent, key] = resolveParent(state, keys);
+    if (Array.isArray(parent)) {
+      const index = key === "-" ? parent.length : Number(key);
+      parent.splice(index, 0, value);
+    } else {
+      parent[key] = value;
+    }
+  }
+
+  function removeAt(state, keys) {
+    const [parent, key] = resolveParent(state, keys);
+    const value = toRaw(parent[key]);
+    if (Array.isArray(parent)) {
+      parent.splice(Number(key), 1);
+    } else {
+      delete parent[key];
+    }
+    return value;
+  }
+
+  /**
+   * Copies a patch value so the state never stores frozen snapshot objects
+   * @param {any} value - The value from a patch
+   * @returns {any} - A mutable deep copy
+   */
+  function cloneValue(value) {
+    return value !== null && typeof value === "object"
+      ? structuredClone(value)
+      : value;
+  }
+
+  /**
+   * Records changes to reactive state so they can be undone and redone
+   * @param {Object} source - The reactive object or ref to record
+   * @param {Object} [options] - History options
+   * @param {number} [options.capacity=Infinity] - Maximum number of undo steps
+   * @param {boolean} [options.batch=true] - Group the changes made in the same
+   * tick into one step; when false, every write is its own step
+   * @param {Function} [options.filter] - Called with each patch; returning
+   * false leaves the change out of the history
+   * @returns {Object} - { canUndo, canRedo, undo, redo, commit, group, clear, stop }
+   *
+   * Steps hold the patches of their changes (see onPatch()) rather than
+   * copies of the state. commit() closes the current step, and group(fn)
+   * records everything fn changes as one step. A new change clears the
+   * redo steps. Inside an effect scope, recording stops with the scope.
+   * Changes inside a Map or Set have no patch and can't be undone; replace
+   * the whole collection instead.
+   */
+  function useHistory(source, options = {}) {
+    const { capacity = Infinity, batch: groupTick = true, filter } = options;
+    const undoStack = [];
+    const redoStack = [];
+    const canUndo = ref(false);
+    const canRedo = ref(false);
+    let pending = null; // Patches of the step being recorded
+    let groupDepth = 0;
+    let replaying = false;
+
+    const updateFlags = () => {
+      canUndo.value = undoStack.length > 0 || pending !== null;
+      canRedo.value = redoStack.length > 0;
+    };
+
+    const commit = () => {
+      if (groupDepth || !pending) return;
+      undoStack.push(pending);
+      if (undoStack.length > capacity) undoStack.shift();
+      pending = null;
+      updateFlags();
+    };
+
+    const stop = onPatch(source, (patch) => {
+      if (replaying || (filter && !filter(patch))) return;
+      if (!pending) {
+        pending = [];
+        if (groupTick && !groupDepth) resolvedPromise.then(commit);
+      }
+      pending.push(patch);
+      redoStack.length = 0;
+      if (!groupTick) commit();
+      updateFlags();
+    });
+
+    const replay = (patches) => {
+      replaying = true;
+      try {
+        applyPatches(source, patches);
+      } finally {
+        replaying = false;
+      }
+    };
+
+    const undo = () => {
+      commit();
+      const step = undoStack.pop();
+      if (!step) return false;
+      replay(invertPatches(step));
+      redoStack.push(step);
+      updateFlags();
+      return true;
+    };
+
+    const redo = () => {
+      const step = redoStack.pop();
+      if (!step) return false;
+      replay(step);
+      undoStack.push(step);
+      updateFlags();
+      return true;
+    };
+
+    const group = (fn) => {
+      commit();
+      groupDepth++;
+      try {
+        return fn();
+      } finally {
+        groupDepth--;
+        commit();
+      }
+    };
+
+    const clear = () => {
+      undoStack.length = 0;
+      redoStack.length = 0;
+      pending = null;
+      updateFlags();
+    };
+
+    if (activeEffectScope) {
+      onScopeDispose(stop);
+    }
+
+    return { canUndo, canRedo, undo, redo, commit, group, clear, stop };
+  }
+
+  /**
+   * Defines a global store made of state, getters and actions
+   * @param {string} id - Unique name of the store
+   * @param {Object} [options] - The store definition
+   * @param {Function} [options.state] - Returns the initial state
+   * @param {Object} [options.getters] - Functions of (state) cached with
+   * computed(), called with the store as this
+   * @param {Object} [options.actions] - Methods called with the store as this
+   * @returns {Object} - The reactive store
+   * @throws {Error} If a store with the same id exists
+   *
+   * State properties, getters and actions are all read from the store
+   * itself, and writing a state property on the store writes the state.
+   * The store also has:
+   * - $id and $state (assigning $state patches it)
+   * - $patch(partial | fn): deep merges an object or calls fn(state),
+   *   notifying subscribers once
+   * - $reset(): restores the initial state
+   * - $subscribe(callback, { detached }): calls callback(mutation, state)
+   *   after each $patch() and on the tick after direct writes, where
+   *   mutation is { type, storeId, events } with type "direct", "patch
+   *   object" or "patch function" and events the onPatch() patches. The
+   *   state is only observed while the store has subscribers
+   * - $onAction(callback, { detached }): calls callback({ name, store,
+   *   args, after, onError }) before each action; after(fn) and onError(fn)
+   *   register hooks for its result or error, awaited for async actions
+   * - $dispose(): stops the getters, subscriptions and plugin effects
+   * Listeners registered inside an effect scope are removed with it unless
+   * detached. Plugins added with addStorePlugin() run for each new store.
+   */
+  function defineStore(id, options = {}) {
+    if (stores.has(id)) {
+      throw new Error(ERRORS.DUPLICATE_STORE);
+    }
+
+    const { state: createState, getters = {}, actions = {} } = options;
+    const scope = effectScope(true);
+    const state = reactive(createState ? createState() : {});
+    const store = reactive({ $id: id });
+    const subscribers = new Set();
+    const actionListeners = new Set();
+    let stopDirect = null;
+    let directEvents = [];
+    let patching = false;
+
+    const notify = (type, events, payload) => {
+      const mutation = { type, storeId: id, events };
+      if (payload !== undefined) mutation.payload = payload;
+      // Errors are reported the same way for $patch() and direct writes,
+      // and don't keep the other subscribers from being notified
+      [...subscribers].forEach((callback) =>
+        callWithErrorHandling(
+          callback,
+          ERROR_SOURCES.STORE_SUBSCRIBER,
+          [mutation, state],
+          null
+        )
+      );
+    };
+
+    // Writes made outside $patch() are reported together, once per tick
+    const flushDirect = () => {
+      if (!directEvents.length) return;
+      const events = directEvents;
+      directEvents = [];
+      notify("direct", events);
+    };
+
+    const onDirectPatch = (patch) => {
+      if (patching) return;
+      directEvents.push(patch);
+      queueJob(flushDirect);
+    };
+
+    const $subscribe = (callback, { detached = false } = {}) => {
+      // The state is only observed while the store has subscribers
+      if (!stopDirect) stopDirect = onPatch(state, onDirectPatch);
+      subscribers.add(callback);
+
+      const remove = () => {
+        if (!subscribers.delete(callback) || subscribers.size) return;
+        stopDirect();
+        stopDirect = null;
+        directEvents = [];
+      };
+      if (!detached && activeEffectScope) {
+        onScopeDispose(remove);
+      }
+      return remove;
+    };
+
+    const addListener = (listeners, callback, { detached = false } = {}) => {
+      listeners.add(callback);
+      const remove = () => listeners.delete(callback);
+      if (!detached && activeEffectScope) {
+        onScopeDispose(remove);
+      }
+      return remove;
+    };
+
+    const $patch = (partialOrFn) => {
+      const apply = () =>
+        batch(() => {
+          if (typeof partialOrFn === "function") {
+            partialOrFn(state);
+          } else {
+            mergeState(state, partialOrFn);
+          }
+        });
+      // Nested patches are reported with the outer one
+      if (!subscribers.size || patching) {
+        apply();
+        return;
+      }
+
+      flushDirect();
+      const events = [];
+      const stopListening = onPatch(state, (patch) => events.push(patch));
+      patching = true;
+      try {
+        apply();
+      } finally {
+        patching = false;
+        stopListening();
+      }
+
+      if (events.length) {
+        const type =
+          typeof partialOrFn === "function" ? "patch function" : "patch object";
+        notify(type, events, type === "patch object" ? partialOrFn : undefined);
+      }
+    };
+
+    const wrapAction = (name, action) =>
+      function (...args) {
+        const afterCallbacks = [];
+        const errorCallbacks = [];
+        [...actionListeners].forEach((callback) =>
+          callback({
+            name,
+            store,
+            args,
+            after: (fn) => afterCallbacks.push(fn),
+            onError: (fn) => errorCallbacks.push(fn),
+          })
+        );
+
+        const fail = (error) => {
+          errorCallbacks.forEach((fn) => fn(error));
+          throw error;
+        };
+        const succeed = (value) => {
+          afterCallbacks.forEach((fn) => fn(value));
+          return value;
+        };
+
+        let result;
+        try {
+          result = action.apply(store, args);
+        } catch (error) {
+          fail(error);
+        }
+        if (result && typeof result.then === "function") {
+          return Promise.resolve(result).then(succeed, fail);
+        }
+        return succeed(result);
+      };
+
+    scope.run(() => {
+      Object.keys(toRaw(state)).forEach((key) => {
+        store[key] = toRef(state, key);
+      });
+      Object.entries(getters).forEach(([name, getter]) => {
+        store[name] = computed(() => getter.call(store, state));
+      });
+      Object.entries(actions).forEach(([name, action]) => {
+        store[name] = wrapAction(name, action);
+      });
+    });
+
+    Object.defineProperty(toRaw(store), "$state", {
+      get: () => state,
+      set(value) {
+        $patch((current) => Object.assign(current, value));
+      },
+    });
+    Object.assign(store, {
+      $patch,
+      $reset() {
+        if (createState) {
+          $patch((current) => hydrate(current, createState()));
+        }
+      },
+      $subscribe,
+      $onAction: (callback, options) =>
+        addListener(actionListeners, callback, options),
+      $dispose() {
+        scope.stop();
+        if (stopDirect) stopDirect();
+        stopDirect = null;
+        directEvents = [];
+        subscribers.clear();
+        actionListeners.clear();
+        stores.delete(id);
+      },
+    });
+
+    stores.set(id, store);
+    storePlugins.forEach((plugin) => {
+      const extension = scope.run(() => plugin({ store, id, options }));
+      if (extension && typeof extension === "object") {
+        Object.assign(store, extension);
+      }
+    });
+    return store;
+  }
+
+  /**
+   * Deep merges plain objects into reactive state, replacing other values
+   * @param {Object} target - The reactive object to update
+   * @param {Object} partial - The values to merge
+   */
+  function mergeState(target, partial) {
+    Object.keys(partial).forEach((key) => {
+      const value = partial[key];
+      const current = target[key];
+      if (
+        isPlainObject(value) &&
+        current !== null &&
+        typeof current === "object" &&
+        isPlainObject(toRaw(current))
+      ) {
+        mergeState(current, value);
+      } else {
+        target[key] = value;
+      }
+    });
+  }
+
+  /**
+   * Registers a plugin called for each store created afterwards
+   * @param {Function} plugin - Called with { store, id, options } inside the
+   * store's effect scope; the properties of an object it returns are added
+   * to the store
+   * @returns {Function} - A function that removes the plugin
+   */
+  function addStorePlugin(plugin) {
+    storePlugins.add(plugin);
+    return () => storePlugins.delete(plugin);
+  }
+
+  /**
+   * Loads reactive state from a storage and saves it back when it changes
+   * @param {Object} state - The reactive object or ref to persist
+   * @param {Object} options - Persistence options
+   * @param {string} options.key - The storage key
+   * @param {Object} [options.storage] - An adapter with getItem, setItem and
+   * removeItem, sync or returning promises; defaults to localStorage
+   * @param {Object} [options.serializer] - { stringify, parse }, defaulting
+   * to serialize() and its typed JSON
+   * @param {number} [options.debounce=0] - Milliseconds to wait after the
+   * last change before saving; changes made in the same tick are always
+   * saved once
+   * @param {Array<string>} [options.pick] - Only persist these properties
+   * @param {number} [options.version=0] - Version written with the data
+   * @param {Function} [options.migrate] - Called with (data, version) when
+   * the stored version differs; returns the data to load
+   * @returns {Object} - { ready, flush, clear, stop }
+   *
+   * The stored value is merged into state like hydrate() does, right away
+   * for a synchronous storage and once ready resolves otherwise. For
+   * objects, only the stored properties are merged, so properties added to
+   * the state since the data was saved keep their defaults. Changes
+   * are then watched deeply and saved. flush() saves a pending change
+   * immediately, clear() removes the stored value and stop() ends the
+   * watching, as does stopping the current effect scope. Storage and
+   * parsing failures go to the error handler.
+   */
+  function persist(state, options) {
+    const {
+      key,
+      storage = createWebStorage(),
+      serializer = {
+        stringify: (value) => serialize(value),
+        parse: (text) => deserialize(text),
+      },
+      debounce = 0,
+      pick,
+      version = 0,
+      migrate,
+    } = options;
+    let stopWatching = null;
+    let timer = null;
+    let pendingSave = null;
+    let stopped = false;
+
+    const report = (error) => handleError(error, ERROR_SOURCES.PERSIST);
+
+    const getPersisted = () => {
+      const value = isRef(state) ? state.value : state;
+      return pick ? pick.map((name) => value[name]) : value;
+    };
+
+    const load = (text) => {
+      if (text === null || text === undefined) return;
+      let { version: storedVersion, state: data } = serializer.parse(text);
+      if (storedVersion !== version && migrate) {
+        data = migrate(data, storedVersion);
+      }
+      const target = isRef(state) ? state.value : state;
+      // Properties missing from older data keep their default values
+      const mergeKeys =
+        isPlainObject(data) &&
+        target !== null &&
+        typeof target === "object" &&
+        isPlainObject(toRaw(target));
+      if (!mergeKeys) {
+        hydrate(state, data);
+        return;
+      }
+      batch(() => {
+        (pick || Object.keys(data)).forEach((name) => {
+          if (!Object.hasOwn(data, name)) return;
+          const merged = mergeValue(target[name], data[name]);
+          if (hasChanged(merged, target[name])) target[name] = merged;
+        });
+      });
+    };
+
+    const save = () => {
+      clearTimeout(timer);
+      timer = null;
+      pendingSave = null;
+      let data = snapshot(isRef(state) ? state.value : state);
+      if (pick) {
+        data = Object.fromEntries(
+          pick
+            .filter((name) => Object.hasOwn(data, name))
+            .map((name) => [name, data[name]])
+        );
+      }
+      try {
+        return Promise.resolve(
+          storage.setItem(key, serializer.stringify({ version, state: data }))
+        ).catch(report);
+      } catch (error) {
+        report(error);
+        return resolvedPromise;
+      }
+    };
+
+    const start = () => {
+      if (stopped) return;
+      stopWatching = watch(
+        getPersisted,
+        () => {
+          if (debounce > 0) {
+            clearTimeout(timer);
+            timer = setTimeout(save, debounce);
+            pendingSave = save;
+          } else {
+            save();
+          }
+        },
+        { deep: true }
+      );
+    };
+
+    const loadAndStart = (text) => {
+      try {
+        load(text);
+      } catch (error) {
+        report(error);
+      }
+      start();
+    };
+
+    let ready;
+    try {
+      const stored = storage.getItem(key);
+      if (stored && typeof stored.then === "function") {
+        ready = stored.then(loadAndStart, (error) => {
+          report(error);
+          start();
+        });
+      } else {
+        loadAndStart(stored);
+        ready = resolvedPromise;
+      }
+    } catch (error) {
+      report(error);
+      start();
+      ready = resolvedPromise;
+    }
+
+    const stop = () => {
+      stopped = true;
+      clearTimeout(timer);
+      if (stopWatching) stopWatching();
+    };
+
+    if (activeEffectScope) {
+      onScopeDispose(stop);
+    }
+
+    return {
+      ready,
+      flush: () => (pendingSave ? pendingSave() : resolvedPromise),
+      clear: () => {
+        clearTimeout(timer);
+        pendingSave = null;
+        return Promise.resolve(storage.removeItem(key));
+      },
+      stop,
+    };
+  }
+
+  /**
+   * Creates a computed value from an async function
+   * @param {Function} asyncGetter - Called with an AbortSignal, returning a
+   * promise or a value
+   * @param {Object} [options] - Options
+   * @param {any} [options.initial] - The value until the first run resolves
+   * @param {boolean} [options.lazy=false] - Wait for value to be read
+   * before the first run
+   * @param {number} [options.debounce=0] - Milliseconds to wait after a
+   * dependency changes before re-running; without it, changes made in the
+   * same tick cause a single run
+   * @returns {Object} - { value, loading, error, refetch, mutate, stop }
+   *
+   * The reactive values asyncGetter reads before its first await are
+   * tracked, and changing them runs it again. Starting a run aborts the
+   * signal of the previous one, whose result is ignored. value (a shallow
+   * ref), loading and error are refs; error holds the rejection of the last
+   * run until the next one starts. refetch() runs again now and resolves
+   * when done, mutate(value | fn) replaces value without fetching, e.g. for
+   * optimistic updates, and stop() stops tracking, as does stopping the
+   * current effect scope.
+   */
+  function computedAsync(asyncGetter, options = {}) {
+    const { initial, lazy = false, debounce = 0 } = options;
+    const loading = ref(false);
+    const error = shallowRef(null);
+    let current = initial;
+    let started = false;
+    let controller = null;
+    let timer = null;
+    let runId = 0;
+
+    const value = customRef((track, trigger) => ({
+      get() {
+        if (!started) refetch();
+        track();
+        return current;
+      },
+      set(newValue) {
+        if (hasChanged(newValue, current)) {
+          current = newValue;
+          trigger();
+        }
+      },
+    }));
+
+    const runner = effect(
+      () => {
+        try {
+          return asyncGetter(controller.signal);
+        } catch (err) {
+          return Promise.reject(err);
+        }
+      },
+      {
+        lazy: true,
+        scheduler: () => {
+          if (debounce > 0) {
+            clearTimeout(timer);
+            timer = setTimeout(refetch, debounce);
+          } else {
+            queueJob(job);
+          }
+        },
+      }
+    );
+    const job = () => refetch();
+
+    function refetch() {
+      started = true;
+      clearTimeout(timer);
+      if (controller) controller.abort();
+      controller = new AbortController();
+      const id = ++runId;
+      loading.value = true;
+      error.value = null;
+
+      return Promise.resolve(runner()).then(
+        (result) => {
+          if (id !== runId) return;
+          if (result !== SKIP_FETCH) value.value = result;
+          loading.value = false;
+        },
+        (err) => {
+          if (id !== runId) return;
+          error.value = err;
+          loading.value = false;
+        }
+      );
+    }
+
+    const mutate = (newValue) => {
+      value.value =
+        typeof newValue === "function" ? newValue(current) : newValue;
+    };
+
+    const stop = () => {
+      runner.stop();
+      clearTimeout(timer);
+      if (controller) controller.abort();
+      runId++;
+      loading.value = false;
+    };
+
+    if (activeEffectScope) {
+      onScopeDispose(stop);
+    }
+    if (!lazy) refetch();
+
+    return { value, loading, error, refetch, mutate, stop };
+  }
+
+  /**
+   * Fetches data for a reactive source, again whenever the source changes
+   * @param {Function|Object} source - A ref or getter giving the fetcher input
+   * @param {Function} fetcher - Called with (input, { signal }), returning a
+   * promise of the data
+   * @param {Object} [options] - Same as computedAsync()
+   * @returns {Object} - { value, loading, error, refetch, mutate, stop }
+   *
+   * While the source is null, undefined or false, the fetcher isn't called
+   * and value keeps its last data.
+   */
+  function resource(source, fetcher, options) {
+    return computedAsync((signal) => {
+      const input = toValue(source);
+      if (input === null || input === undefined || input === false) {
+        return SKIP_FETCH;
+      }
+      return fetcher(input, { signal });
+    }, options);
+  }
+
+  /**
+   * Updates existing state in place from serialized or plain data
+   * @param {Object} target - A reactive object or a ref to update
+   * @param {string|any} data - A string from serialize(), or parsed data
+   * @param {Object} [options] - Hydration options
+   * @param {Array<Object>} [options.revivers] - Extra type handlers, as
+   * passed to serialize()
+   * @returns {Object} - The target
+   *
+   * Nested objects, arrays, Maps and Sets are updated in place, properties
+   * missing from the data are deleted, and a value is only assigned when it
+   * differs from the current one. Effects therefore only re-run for the
+   * keys that actually changed, once, after the whole update.
+   */
+  function hydrate(target, data, options = {}) {
+    const value =
+      typeof data === "string" ? deserialize(data, options.revivers) : data;
+    batch(() => {
+      if (isRef(target)) {
+        target.value = mergeValue(target.value, value);
+      } else {
+        mergeValue(target, value);
+      }
+    });
+    return target;
+  }
+
+  /**
+   * Merges an incoming value into the current one for hydrate()
+   * @param {any} current - The current value
+   * @param {any} next - The incoming value
+   * @returns {any} - The value to store: current if it was updated in
+   * place or is equal to next, otherwise next
+   */
+  function mergeValue(current, next) {
+    if (current instanceof Date && next instanceof Date) {
+      return Object.is(current.getTime(), next.getTime()) ? current : next;
+    }
+    if (!canMergeInto(current, next)) {
+      return next;
+    }
+
+    if (current instanceof Map) {
+      next.forEach((item, key) => {
+        const existing = current.get(key);
+        const merged = mergeValue(existing, item);
+        if (!current.has(key) || hasChanged(merged, existing)) {
+          current.set(key, merged);
+        }
+      });
+      [...current.keys()].forEach((key) => {
+        if (!next.has(key)) current.delete(key);
+      });
+    } else if (current instanceof Set) {
+      next.forEach((item) => current.add(item));
+      [...current].forEach((item) => {
+        if (!next.has(toRaw(item))) current.delete(item);
+      });
+    } else {
+      const raw = toRaw(current);
+      Object.keys(next).forEach((key) => {
+        const existing = current[key];
+        const merged = mergeValue(existing, next[key]);
+        if (!Object.hasOwn(raw, key) || hasChanged(merged, existing)) {
+          current[key] = merged;
+        }
+      });
+      if (Array.isArray(current)) {
+        if (current.length > next.length) {
+          current.length = next.length;
+        }
+      } else {
+        Object.keys(raw).forEach((key) => {
+          if (!Object.hasOwn(next, key)) delete current[key];
+        });
+      }
+    }
+    return current;
+  }
+
+  return {
+    nextTick,
+    queueJob,
+    batch,
+    transaction,
+    setErrorHandler,
+    setStrictMode,
+    effect,
+    stop,
+    effectScope,
+    getCurrentScope,
+    onScopeDispose,
+    reactive,
+    ref,
+    shallowRef,
+    triggerRef,
+    customRef,
+    computed,
+    watch,
+    watchEffect,
+    watchPostEffect,
+    watchSyncEffect,
+    readonly,
+    shallowReadonly,
+    shallowReactive,
+    toRef,
+    toRefs,
+    getDependencies,
+    getSubscribers,
+    dumpGraph,
+    hydrate,
+    onPatch,
+    applyPatches,
+    useHistory,
+    defineStore,
+    addStorePlugin,
+    persist,
+    computedAsync,
+    resource,
+    snapshot,
+    serialize,
+    invertPatches,
+    createMemoryStorage,
+    createWebStorage,
+    createFileStorage,
+    markRaw,
+    toRaw,
+    isReactive,
+    isReadonly,
+    isShallow,
+    isProxy,
+    isRef,
+    unref,
+    toValue,
+    proxyRefs,
+  };
+}
+
+const defaultRuntime = createReactiveRuntime();
+
+export const {
+  nextTick,
+  queueJob,
+  batch,
+  transaction,
+  setErrorHandler,
+  setStrictMode,
+  effect,
+  stop,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose,
+  reactive,
+  ref,
+  shallowRef,
+  triggerRef,
+  customRef,
+  computed,
+  watch,
+  watchEffect,
+  watchPostEffect,
+  watchSyncEffect,
+  readonly,
+  shallowReadonly,
+  shallowReactive,
+  toRef,
+  toRefs,
+  getDependencies,
+  getSubscribers,
+  dumpGraph,
+  hydrate,
+  onPatch,
+  applyPatches,
+  useHistory,
+  defineStore,
+  addStorePlugin,
+  persist,
+  computedAsync,
+  resource,
+} = defaultRuntime;